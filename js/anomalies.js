@@ -0,0 +1,189 @@
+/**
+ * Anomaly Detector
+ * Flags days and hours whose token usage is far above a rolling baseline of
+ * the days before them, and names the model that drove the jump. Baselines
+ * use the median and median absolute deviation, so one earlier spike does
+ * not hide the next.
+ *
+ * Anomaly shape:
+ *   { key, type: 'day' | 'hour', date, hour (hours only), tokens, normal,
+ *     ratio, driver: { id, tokens, normal } | null }
+ */
+
+class AnomalyDetector {
+    constructor() {
+        // Days before a day (or hour) that form its baseline
+        this.baselineDays = 14;
+        this.minBaselineDays = 7;
+
+        // `threshold` counts robust standard deviations above the median;
+        // `minRatio` keeps small absolute changes from being flagged
+        this.sensitivities = {
+            off: { label: 'Off' },
+            low: { label: 'Low', threshold: 5, minRatio: 3 },
+            medium: { label: 'Medium', threshold: 3.5, minRatio: 2 },
+            high: { label: 'High', threshold: 2.5, minRatio: 1.5 }
+        };
+        this.defaultSensitivity = 'medium';
+    }
+
+    getSensitivity(name) {
+        return this.sensitivities[name] || this.sensitivities[this.defaultSensitivity];
+    }
+
+    /**
+     * Check `dailyUsage` (the dashboard's days, oldest first). Days on or
+     * after `from` are checked; hours only within the last 24 complete ones.
+     */
+    detect(dailyUsage, { sensitivity = this.defaultSensitivity, from = null, now = new Date() } = {}) {
+        const settings = this.getSensitivity(sensitivity);
+        if (!settings.threshold || dailyUsage.length === 0) return { days: [], hours: [] };
+
+        const days = new Map(dailyUsage.map(day => [day.date, day]));
+        const firstDate = dailyUsage[0].date;
+
+        return {
+            days: this.detectDays(days, firstDate, settings, from || firstDate),
+            hours: this.detectHours(days, settings, now)
+        };
+    }
+
+    detectDays(days, firstDate, settings, from) {
+        const anomalies = [];
+
+        days.forEach((day, date) => {
+            if (date < from) return;
+
+            const baseline = this.baselineDates(date, firstDate).map(key => days.get(key));
+            if (baseline.length < this.minBaselineDays) return;
+
+            const values = baseline.map(other => (other ? other.tokens : 0));
+            const normal = this.getNormal(values);
+            if (!this.isSpike(day.tokens, values, normal, settings)) return;
+
+            anomalies.push({
+                key: `day|${date}`,
+                type: 'day',
+                date,
+                tokens: day.tokens,
+                normal,
+                ratio: day.tokens / normal,
+                driver: this.findDriver(day.models, baseline.map(other => (other ? other.models : {})))
+            });
+        });
+
+        return anomalies;
+    }
+
+    /**
+     * Compare each complete hour of the last day with the same hour on the
+     * days before it. An hour must also beat the average hour of those
+     * days, so usage in normally idle hours needs to be substantial.
+     */
+    detectHours(days, settings, now) {
+        const anomalies = [];
+        const currentHour = new Date(now);
+        currentHour.setUTCMinutes(0, 0, 0);
+
+        for (let back = 24; back >= 1; back--) {
+            const start = new Date(currentHour.getTime() - back * 3600000);
+            const date = start.toISOString().split('T')[0];
+            const hour = start.getUTCHours();
+            const day = days.get(date);
+            if (!day || !day.hourlyTokens) continue;
+
+            // Only days with hourly detail say anything about an hour
+            const baseline = this.baselineDates(date)
+                .map(key => days.get(key))
+                .filter(other => other && other.hourlyTokens);
+            if (baseline.length < this.minBaselineDays) continue;
+
+            const values = baseline.map(other => other.hourlyTokens[hour]);
+            const averageHour = baseline.reduce((sum, other) => sum + this.sum(other.hourlyTokens), 0) /
+                                baseline.length / 24;
+            const normal = Math.max(this.getNormal(values), averageHour);
+            const tokens = day.hourlyTokens[hour];
+            if (!this.isSpike(tokens, values, normal, settings)) continue;
+
+            anomalies.push({
+                key: `hour|${date}T${String(hour).padStart(2, '0')}`,
+                type: 'hour',
+                date,
+                hour,
+                tokens,
+                normal,
+                ratio: tokens / normal,
+                driver: this.findDriver(
+                    this.hourOf(day.hourlyModels, hour),
+                    baseline.map(other => this.hourOf(other.hourlyModels, hour))
+                )
+            });
+        }
+
+        return anomalies;
+    }
+
+    /**
+     * The `baselineDays` dates before `date`, not before `firstDate`
+     */
+    baselineDates(date, firstDate = '') {
+        const dates = [];
+        for (let offset = 1; offset <= this.baselineDays; offset++) {
+            const key = window.DateRanges.addDays(date, -offset);
+            if (key >= firstDate) dates.push(key);
+        }
+        return dates;
+    }
+
+    /**
+     * Typical value: the median, or the mean when most values are zero
+     */
+    getNormal(values) {
+        return Math.max(this.median(values), this.sum(values) / values.length);
+    }
+
+    isSpike(value, values, normal, { threshold, minRatio }) {
+        if (!(normal > 0)) return false;
+
+        const median = this.median(values);
+        const spread = 1.4826 * this.median(values.map(other => Math.abs(other - median)));
+        return value > median + threshold * spread && value >= normal * minRatio;
+    }
+
+    /**
+     * The model whose tokens rose the most over its own typical level
+     */
+    findDriver(models, baselineModels) {
+        let driver = null;
+
+        Object.entries(models || {}).forEach(([id, tokens]) => {
+            const normal = this.median(baselineModels.map(other => other[id] || 0));
+            if (!driver || tokens - normal > driver.tokens - driver.normal) {
+                driver = { id, tokens, normal };
+            }
+        });
+
+        return driver;
+    }
+
+    hourOf(hourlyModels, hour) {
+        const models = {};
+        Object.entries(hourlyModels || {}).forEach(([id, hours]) => { models[id] = hours[hour]; });
+        return models;
+    }
+
+    sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    median(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// Export for use in other modules
+window.AnomalyDetector = new AnomalyDetector();
@@ -5,18 +5,39 @@
 
 class ApiService {
     constructor() {
-        this.baseUrl = 'https://api.anthropic.com/v1';
+        this.defaultBaseUrl = 'https://api.anthropic.com/v1';
+        this.baseUrl = this.defaultBaseUrl;
         this.headers = {
             'Content-Type': 'application/json',
-            'anthropic-version': '2023-06-01'
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
         };
         
-        // Pricing per million tokens (as of 2024)
-        this.pricing = {
-            opus: { input: 15.00, output: 75.00 },
-            sonnet: { input: 3.00, output: 15.00 },
-            haiku: { input: 0.25, output: 1.25 }
+        // IDs of the enabled data sources (see data-sources.js)
+        this.dataSources = [];
+        this.reportDays = 30;
+
+        // Features each key type unlocks
+        this.keyCapabilities = {
+            admin: ['Usage reports', 'Cost reports', 'Local tracking'],
+            standard: ['Local tracking']
+        };
+        
+        this.validationMessages = {
+            ok: 'API key verified',
+            'rate-limited': 'Key accepted, but the API is rate limiting it right now',
+            malformed: 'This is not an Anthropic API key (expected sk-ant-...)',
+            revoked: 'The key was rejected. It may have been revoked or mistyped.',
+            forbidden: 'The key is not allowed to access this organization',
+            network: 'Could not reach the API. Check your connection or API base URL.',
+            server: 'The API returned an error. Try again shortly.'
         };
+        
+        // Models with a smaller share of tokens are grouped into "Other"
+        this.otherModelShare = 0.02;
+
+        // Prices come from the versioned catalog (pricing-catalog.js)
+        this.pricingCatalog = window.PricingCatalog;
     }
 
     /**
@@ -27,163 +48,573 @@ class ApiService {
     }
 
     /**
-     * Validate API key by making a minimal request
+     * Point requests at a different API host (e.g. the local test server)
      */
-    async validateApiKey(apiKey) {
-        try {
-            const response = await fetch(`${this.baseUrl}/messages`, {
-                method: 'POST',
-                headers: {
-                    ...this.headers,
-                    'x-api-key': apiKey
-                },
-                body: JSON.stringify({
-                    model: 'claude-3-sonnet-20240229',
-                    messages: [{ role: 'user', content: 'Hi' }],
-                    max_tokens: 1
-                })
-            });
+    setBaseUrl(baseUrl) {
+        this.baseUrl = (baseUrl || this.defaultBaseUrl).replace(/\/+$/, '');
+    }
 
-            // 200 = valid, 401 = invalid key, 429 = rate limit (but valid)
-            return response.status === 200 || response.status === 429;
-        } catch (error) {
-            console.error('API validation error:', error);
-            return false;
+    /**
+     * Select which data sources feed the dashboard
+     */
+    setDataSources(sourceIds) {
+        this.dataSources = [...sourceIds];
+    }
+
+    /**
+     * Admin keys are required for the organization usage and cost reports
+     */
+    isAdminKey(apiKey) {
+        return Boolean(apiKey) && apiKey.startsWith('sk-ant-admin');
+    }
+
+    /**
+     * fetch() that records the rate-limit headers of every API response
+     */
+    async send(url, options) {
+        const response = await fetch(url, options);
+        
+        // Limits are per key; requests made for other profiles are not shown
+        if (options.headers['x-api-key'] === this.headers['x-api-key']) {
+            window.RateLimitMonitor.record(response, new URL(url).pathname);
         }
+        
+        if (response.status === 429) {
+            console.warn(`Rate limited on ${url}`);
+        }
+        return response;
     }
 
     /**
-     * Fetch usage data (simulated - Anthropic doesn't have direct usage API)
+     * Make an authenticated GET request and return the parsed JSON body
      */
-    async fetchUsageData() {
-        try {
-            // In production, this would connect to your backend that tracks usage
-            // For demo, we'll generate realistic mock data
-            const data = this.generateMockUsageData();
-            
-            // Simulate API delay
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Save to cache
-            window.StorageManager.saveUsageData(data);
-            
-            return data;
-        } catch (error) {
-            console.error('Failed to fetch usage data:', error);
+    async request(path, params = {}, apiKey = this.headers['x-api-key']) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
             
-            // Try to return cached data
-            const cached = window.StorageManager.getUsageData();
-            if (cached) {
-                return cached;
+            // Array parameters use the `key[]=a&key[]=b` form
+            if (Array.isArray(value)) {
+                value.forEach(item => url.searchParams.append(`${key}[]`, item));
+            } else {
+                url.searchParams.set(key, value);
             }
-            
+        });
+        
+        const response = await this.send(url.toString(), {
+            method: 'GET',
+            headers: {
+                ...this.headers,
+                'x-api-key': apiKey
+            }
+        });
+        
+        if (!response.ok) {
+            const error = new Error(`Request to ${path} failed with status ${response.status}`);
+            error.status = response.status;
             throw error;
         }
+        
+        return response.json();
     }
 
     /**
-     * Generate mock usage data for demonstration
+     * Follow `next_page` cursors until every bucket of a report is loaded
      */
-    generateMockUsageData() {
-        const now = new Date();
-        const dailyUsage = [];
+    async fetchAllPages(path, params, apiKey = this.headers['x-api-key']) {
+        const buckets = [];
+        let page = null;
+        
+        do {
+            const body = await this.request(path, { ...params, page }, apiKey);
+            buckets.push(...(body.data || []));
+            page = body.has_more ? body.next_page : null;
+        } while (page);
+        
+        return buckets;
+    }
+
+    /**
+     * What a key can do in this app, from its type
+     */
+    getKeyInfo(apiKey = this.headers['x-api-key']) {
+        const keyType = this.isAdminKey(apiKey) ? 'admin' : 'standard';
+        return { keyType, capabilities: this.keyCapabilities[keyType] };
+    }
+
+    /**
+     * Validate an API key with a read-only request (no tokens are spent).
+     * Returns { valid, keyType, capabilities, reason, message }; `reason` is
+     * one of ok, rate-limited, malformed, revoked, forbidden, network, server.
+     */
+    async validateApiKey(apiKey) {
+        const { keyType, capabilities } = this.getKeyInfo(apiKey);
+        const result = (valid, reason) => ({
+            valid,
+            keyType: reason === 'malformed' ? null : keyType,
+            capabilities: valid ? capabilities : [],
+            reason,
+            message: this.validationMessages[reason]
+        });
+        
+        if (!window.CryptoUtils.validateApiKey(apiKey)) {
+            return result(false, 'malformed');
+        }
         
-        // Generate last 30 days of usage
-        for (let i = 29; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
+        try {
+            // Admin keys only reach the organization endpoints; a one-bucket
+            // usage report also proves they can read usage
+            if (keyType === 'admin') {
+                await this.request('/organizations/usage_report/messages', {
+                    starting_at: new Date(Date.now() - 86400000).toISOString(),
+                    limit: 1
+                }, apiKey);
+            } else {
+                await this.request('/models', { limit: 1 }, apiKey);
+            }
+            return result(true, 'ok');
+        } catch (error) {
+            console.error('API validation error:', error);
             
-            // Realistic token usage patterns
-            const baseTokens = 50000 + Math.random() * 100000;
-            const dayOfWeek = date.getDay();
-            const weekendMultiplier = (dayOfWeek === 0 || dayOfWeek === 6) ? 0.7 : 1.2;
-            const tokens = Math.floor(baseTokens * weekendMultiplier);
+            // fetch() rejects without a status when the request never completed
+            if (error.status === undefined) return result(false, 'network');
             
-            dailyUsage.push({
-                date: date.toISOString().split('T')[0],
-                tokens: tokens,
-                apiCalls: Math.floor(tokens / 500),
-                cost: this.calculateCost(tokens)
+            switch (error.status) {
+                case 400:
+                    return result(false, 'malformed');
+                case 401:
+                    return result(false, 'revoked');
+                case 403:
+                    return result(false, 'forbidden');
+                case 429:
+                    // The key was accepted before the limit applied
+                    return result(true, 'rate-limited');
+                default:
+                    return result(false, 'server');
+            }
+        }
+    }
+
+    /**
+     * Fetch usage for a { startDate, endDate } range from the enabled data
+     * sources and build the dashboard summary. `records` are tagged with
+     * the `profileId` they belong to, as in fetchProfileRecords.
+     */
+    async fetchUsageData(range = this.getReportRange(), { apiKey, profileId = window.StorageManager.getActiveProfileId() } = {}) {
+        const result = await window.DataSources.fetchRecords(this.dataSources, range, { apiKey });
+        
+        // Only fail outright when every enabled source failed
+        if (result.errors.length > 0 && result.errors.length === result.sources.length) {
+            throw result.errors[0].error;
+        }
+        
+        const records = result.records.map(record => ({
+            ...record,
+            profileId: window.DataSources.get(record.source).keyScoped ? profileId : 'device'
+        }));
+        
+        return {
+            ...this.buildUsageSummary(records),
+            ...result.meta,
+            range,
+            records,
+            sources: result.sources,
+            sourceErrors: result.errors.map(({ source, label }) => ({ source, label }))
+        };
+    }
+
+    /**
+     * Records of every profile ({ id, name, apiKey }), tagged with the
+     * `profileId` they belong to. Key-scoped sources are fetched for every
+     * profile; device-wide ones (logs, CSV, demo) only once, tagged 'device'.
+     */
+    async fetchProfileRecords(range, profiles) {
+        const sharedProfileId = profiles[0]?.id;
+        const results = await Promise.all(profiles.map(profile => {
+            const sourceIds = this.dataSources.filter(id => {
+                const source = window.DataSources.get(id);
+                if (!source) return false;
+                if (!source.keyScoped) return profile.id === sharedProfileId;
+                
+                // Usage reports need an admin key
+                return id !== 'admin' || this.isAdminKey(profile.apiKey);
             });
+            return window.DataSources.fetchRecords(sourceIds, range, { apiKey: profile.apiKey });
+        }));
+        
+        const errors = results.flatMap((result, index) => result.errors.map(error => ({
+            ...error,
+            label: `${error.label} (${profiles[index].name})`
+        })));
+        const sourceCount = results.reduce((sum, result) => sum + result.sources.length, 0);
+        if (errors.length > 0 && errors.length === sourceCount) {
+            throw errors[0].error;
         }
         
-        // Calculate totals
-        const totalTokens = dailyUsage.reduce((sum, day) => sum + day.tokens, 0);
-        const totalApiCalls = dailyUsage.reduce((sum, day) => sum + day.apiCalls, 0);
+        const records = results.flatMap((result, index) => result.records.map(record => ({
+            ...record,
+            profileId: window.DataSources.get(record.source).keyScoped ? profiles[index].id : 'device'
+        })));
+        
+        return {
+            records,
+            errors,
+            meta: Object.assign({}, ...results.map(result => result.meta)),
+            sources: [...new Set(results.flatMap(result => result.sources))]
+        };
+    }
+
+    /**
+     * Sum usage across profiles, with totals per profile and for
+     * device-wide usage ("This device")
+     */
+    async fetchProfilesUsageData(range, profiles) {
+        const result = await this.fetchProfileRecords(range, profiles);
+        const names = new Map(profiles.map(profile => [profile.id, profile.name]));
+        names.set('device', 'This device');
+        
+        const totals = new Map();
+        result.records.forEach(record => {
+            if (!totals.has(record.profileId)) {
+                totals.set(record.profileId, { id: record.profileId, name: names.get(record.profileId), tokens: 0, cost: 0 });
+            }
+            totals.get(record.profileId).tokens += record.tokens;
+            totals.get(record.profileId).cost += this.getRecordCost(record).cost;
+        });
+        
+        return {
+            ...this.buildUsageSummary(result.records),
+            ...result.meta,
+            range,
+            records: result.records,
+            profileTotals: [...totals.values()],
+            sources: result.sources,
+            sourceErrors: result.errors.map(({ source, label }) => ({ source, label }))
+        };
+    }
+
+    /**
+     * The last `reportDays` days, ending today (UTC dates)
+     */
+    getReportRange() {
+        const end = new Date();
+        const start = new Date(end);
+        start.setUTCDate(start.getUTCDate() - (this.reportDays - 1));
         
-        // Distribute between models (30% Opus, 60% Sonnet, 10% Haiku)
-        const opusTokens = Math.floor(totalTokens * 0.3);
-        const sonnetTokens = Math.floor(totalTokens * 0.6);
-        const haikuTokens = totalTokens - opusTokens - sonnetTokens;
+        return {
+            startDate: start.toISOString().split('T')[0],
+            endDate: end.toISOString().split('T')[0]
+        };
+    }
+
+    /**
+     * Map merged usage records onto the dashboard data shape
+     */
+    buildUsageSummary(records) {
+        const days = new Map();
+        const familyCosts = { opus: 0, sonnet: 0, haiku: 0 };
+        const costBasis = { reported: 0, calculated: 0, estimated: 0 };
+        const costEstimates = { split: 0, mix: 0 };
+        const cache = { inputTokens: 0, creationTokens: 0, readTokens: 0, savings: 0, byModel: {} };
+        const modelTotals = new Map();
+        let terminalTokens = 0;
+        let totalCost = 0;
+        let apiCalls = null;
         
-        // Calculate costs
-        const opusCost = this.calculateModelCost(opusTokens, 'opus');
-        const sonnetCost = this.calculateModelCost(sonnetTokens, 'sonnet');
-        const haikuCost = this.calculateModelCost(haikuTokens, 'haiku');
+        records.forEach(record => {
+            if (!days.has(record.date)) {
+                days.set(record.date, {
+                    date: record.date,
+                    tokens: 0,
+                    apiCalls: null,
+                    cost: 0,
+                    estimatedCost: 0,
+                    cacheCreationTokens: 0,
+                    cacheReadTokens: 0,
+                    models: {},
+                    // Per UTC hour, from the sources that report hours
+                    hourlyTokens: null,
+                    hourlyModels: {}
+                });
+            }
+            if (!modelTotals.has(record.model)) {
+                modelTotals.set(record.model, { id: record.model, tokens: 0, cost: 0 });
+            }
+            
+            const day = days.get(record.date);
+            const family = this.getModelFamily(record.model);
+            const { cost, basis, assumption } = this.getRecordCost(record);
+            
+            day.tokens += record.tokens;
+            day.cost += cost;
+            day.models[record.model] = (day.models[record.model] || 0) + record.tokens;
+            modelTotals.get(record.model).tokens += record.tokens;
+            modelTotals.get(record.model).cost += cost;
+            totalCost += cost;
+            costBasis[basis] += cost;
+            if (basis === 'estimated') {
+                day.estimatedCost += cost;
+                costEstimates[assumption] += cost;
+            }
+            if (family) familyCosts[family] += cost;
+            if (record.origin === 'terminal') terminalTokens += record.tokens;
+            if (this.hasTokenSplit(record)) this.trackCacheUsage(cache, day, record);
+            if (record.hourlyTokens) this.trackHourlyUsage(day, record);
+            
+            // Not every source reports request counts
+            if (record.requests !== null) {
+                day.apiCalls = (day.apiCalls || 0) + record.requests;
+                apiCalls = (apiCalls || 0) + record.requests;
+            }
+        });
         
-        // Simulate web vs terminal usage
-        const webTokens = Math.floor(totalTokens * 0.65);
-        const terminalTokens = totalTokens - webTokens;
+        const dailyUsage = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+        const totalTokens = dailyUsage.reduce((sum, day) => sum + day.tokens, 0);
+        const models = this.buildModelBreakdown([...modelTotals.values()], totalTokens);
+
+        // Key each day's tokens by breakdown entry so chart series line up
+        const groupOf = new Map();
+        models.forEach(entry => entry.models.forEach(id => groupOf.set(id, entry.id)));
+        dailyUsage.forEach(day => {
+            const grouped = {};
+            Object.entries(day.models).forEach(([id, tokens]) => {
+                grouped[groupOf.get(id)] = (grouped[groupOf.get(id)] || 0) + tokens;
+            });
+            day.models = grouped;
+            
+            const groupedHours = {};
+            Object.entries(day.hourlyModels).forEach(([id, hours]) => {
+                const group = groupedHours[groupOf.get(id)] || (groupedHours[groupOf.get(id)] = new Array(24).fill(0));
+                hours.forEach((tokens, hour) => { group[hour] += tokens; });
+            });
+            day.hourlyModels = groupedHours;
+        });
         
         return {
             totalTokens,
-            apiCalls: totalApiCalls,
-            opusCost,
-            sonnetCost,
-            haikuCost,
-            totalCost: opusCost + sonnetCost + haikuCost,
-            webTokens,
+            apiCalls,
+            opusCost: familyCosts.opus,
+            sonnetCost: familyCosts.sonnet,
+            haikuCost: familyCosts.haiku,
+            totalCost,
+            costBasis,
+            costEstimates,
+            models,
+            cache: {
+                ...cache,
+                hitRate: this.getCacheHitRate(cache)
+            },
+            webTokens: totalTokens - terminalTokens,
             terminalTokens,
-            dailyUsage: dailyUsage.slice(-7), // Last 7 days for chart
-            usageLimit: 5000000, // 5M tokens monthly limit
+            dailyUsage,
             lastUpdated: new Date().toISOString()
         };
     }
 
     /**
-     * Calculate cost for token usage
+     * Per-model tokens, cost and share, largest first. Models under
+     * `otherModelShare` of the tokens are grouped into one "Other" entry.
      */
-    calculateCost(tokens) {
-        // Average cost assuming 60% Sonnet, 30% Opus, 10% Haiku
-        const avgCostPerMillion = (
-            0.6 * ((this.pricing.sonnet.input + this.pricing.sonnet.output) / 2) +
-            0.3 * ((this.pricing.opus.input + this.pricing.opus.output) / 2) +
-            0.1 * ((this.pricing.haiku.input + this.pricing.haiku.output) / 2)
-        );
-        return (tokens / 1000000) * avgCostPerMillion;
+    buildModelBreakdown(totals, totalTokens) {
+        const withShare = totals
+            .map(({ id, tokens, cost }) => ({
+                id,
+                name: this.getModelName(id),
+                family: this.getModelFamily(id),
+                tokens,
+                cost,
+                share: totalTokens > 0 ? tokens / totalTokens : 0,
+                models: [id]
+            }))
+            .sort((a, b) => b.tokens - a.tokens || b.cost - a.cost);
+
+        const small = withShare.filter(entry => entry.share < this.otherModelShare);
+
+        // Grouping a single model would only rename it
+        if (small.length < 2) return withShare;
+
+        const other = small.reduce((group, entry) => {
+            group.tokens += entry.tokens;
+            group.cost += entry.cost;
+            group.share += entry.share;
+            group.models.push(entry.id);
+            return group;
+        }, { id: 'other', name: 'Other', family: null, tokens: 0, cost: 0, share: 0, models: [] });
+
+        return [...withShare.filter(entry => !small.includes(entry)), other];
     }
 
     /**
-     * Calculate cost for specific model
+     * Display name of a model, from the pricing catalog where known
      */
-    calculateModelCost(tokens, model) {
-        const modelPricing = this.pricing[model];
-        if (!modelPricing) return 0;
+    getModelName(modelId) {
+        if (modelId === 'other') return 'Other';
+        if (modelId === 'unknown') return 'Unknown model';
+
+        const rates = this.pricingCatalog.getRates(modelId);
+        return rates ? rates.name : modelId;
+    }
+
+    /**
+     * Add a record's hourly tokens to its day, in total and per model
+     */
+    trackHourlyUsage(day, record) {
+        if (!day.hourlyTokens) day.hourlyTokens = new Array(24).fill(0);
+        if (!day.hourlyModels[record.model]) day.hourlyModels[record.model] = new Array(24).fill(0);
         
-        // Assume 30% input, 70% output for typical usage
-        const inputTokens = tokens * 0.3;
-        const outputTokens = tokens * 0.7;
+        record.hourlyTokens.forEach((tokens, hour) => {
+            day.hourlyTokens[hour] += tokens;
+            day.hourlyModels[record.model][hour] += tokens;
+        });
+    }
+
+    /**
+     * Add a record's cache reads and writes to the cache totals
+     */
+    trackCacheUsage(cache, day, record) {
+        const read = record.cacheReadTokens || 0;
+        const creation = record.cacheCreationTokens || 0;
+        const rates = this.getModelRates(record.model, record.date);
+        const savings = rates ? this.calculateCacheSavings(record, rates) : 0;
         
-        return (inputTokens / 1000000) * modelPricing.input + 
-               (outputTokens / 1000000) * modelPricing.output;
+        if (!cache.byModel[record.model]) {
+            cache.byModel[record.model] = { inputTokens: 0, creationTokens: 0, readTokens: 0, savings: 0 };
+        }
+        
+        [cache, cache.byModel[record.model]].forEach(totals => {
+            totals.inputTokens += record.inputTokens;
+            totals.creationTokens += creation;
+            totals.readTokens += read;
+            totals.savings += savings;
+        });
+        
+        day.cacheCreationTokens += creation;
+        day.cacheReadTokens += read;
     }
 
     /**
-     * Parse local Claude Code logs (simulated)
+     * Share of prompt tokens served from the cache
      */
-    async parseLocalLogs() {
-        try {
-            // In a real implementation, this would use File System Access API
-            // For PWA, we simulate terminal usage data
-            const terminalUsage = {
-                sessions: Math.floor(Math.random() * 50) + 10,
-                totalTokens: Math.floor(Math.random() * 500000) + 100000,
-                lastSession: new Date(Date.now() - Math.random() * 86400000).toISOString()
+    getCacheHitRate(totals) {
+        const promptTokens = totals.inputTokens + totals.creationTokens + totals.readTokens;
+        return promptTokens > 0 ? totals.readTokens / promptTokens : 0;
+    }
+
+    /**
+     * Dollars saved versus sending the cached tokens as regular input.
+     * Cache writes cost more than input, so this can be negative when
+     * written prefixes are rarely read back.
+     */
+    calculateCacheSavings(record, rates) {
+        const creation = record.cacheCreationTokens || 0;
+        const read = record.cacheReadTokens || 0;
+        
+        const uncached = (creation + read) * rates.input;
+        const cached = creation * rates.cacheWrite + read * rates.cacheRead;
+        return (uncached - cached) / 1000000;
+    }
+
+    /**
+     * Cost of a record and how it was obtained: 'reported' by the source,
+     * 'calculated' from its input/output split, or 'estimated' with the
+     * fallback assumptions when the split or model is unknown. Estimates
+     * say which `assumption` priced them: an assumed input/output 'split'
+     * of a known model, or the family 'mix' for an unknown one.
+     */
+    getRecordCost(record) {
+        if (record.cost !== null) {
+            return { cost: record.cost, basis: 'reported' };
+        }
+        
+        const rates = this.getModelRates(record.model, record.date);
+        if (rates && this.hasTokenSplit(record)) {
+            return { cost: this.pricingCatalog.calculateCost(record, rates), basis: 'calculated' };
+        }
+        
+        if (rates) {
+            return {
+                cost: this.calculateModelCost(record.tokens, record.model, record.date),
+                basis: 'estimated',
+                assumption: 'split'
             };
+        }
+        return { cost: this.calculateCost(record.tokens, record.date), basis: 'estimated', assumption: 'mix' };
+    }
+
+    /**
+     * Whether a record carries separate input and output token counts
+     */
+    hasTokenSplit(record) {
+        return record.inputTokens !== null && record.outputTokens !== null;
+    }
+
+    /**
+     * Catalog rates for a model, falling back to its family's current model
+     */
+    getModelRates(modelId, date) {
+        return this.pricingCatalog.getRates(modelId, date) ||
+               this.pricingCatalog.getFamilyRates(this.getModelFamily(modelId), date);
+    }
+
+    /**
+     * Map a model ID such as `claude-sonnet-4-20250514` to its pricing family
+     */
+    getModelFamily(modelId) {
+        const match = /opus|sonnet|haiku/.exec(modelId || '');
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Fallback estimate for unknown models without a token split
+     */
+    calculateCost(tokens, date) {
+        // Average cost assuming 60% Sonnet, 30% Opus, 10% Haiku
+        const mix = { sonnet: 0.6, opus: 0.3, haiku: 0.1 };
+        
+        return Object.entries(mix).reduce((sum, [family, share]) => {
+            const rates = this.pricingCatalog.getFamilyRates(family, date);
+            if (!rates) return sum;
+            return sum + share * (tokens / 1000000) * ((rates.input + rates.output) / 2);
+        }, 0);
+    }
+
+    /**
+     * Fallback estimate for a model when only its token total is known
+     */
+    calculateModelCost(tokens, modelId, date) {
+        const rates = this.getModelRates(modelId, date);
+        
+        // Assume 30% input, 70% output when the split is unknown
+        return this.pricingCatalog.calculateCost({
+            inputTokens: tokens * 0.3,
+            outputTokens: tokens * 0.7
+        }, rates);
+    }
+
+    /**
+     * Parse local Claude Code logs. With files, re-import and store the
+     * result; without, return the last imported totals.
+     */
+    async parseLocalLogs(files = null) {
+        try {
+            let summary = window.StorageManager.getLocalLogSummary();
+            
+            if (files) {
+                summary = await window.LocalLogImporter.parseFiles(files);
+                window.StorageManager.saveLocalLogSummary(summary);
+            }
             
-            return terminalUsage;
+            return {
+                ...window.LocalLogImporter.summarize(summary),
+                files: summary?.files || 0
+            };
         } catch (error) {
             console.error('Failed to parse local logs:', error);
+            
+            // An explicit import should surface the failure to the user
+            if (files) throw error;
+            
             return {
                 sessions: 0,
                 totalTokens: 0,
@@ -7,9 +7,45 @@ class ClaudeUsageMonitor {
     constructor() {
         this.currentScreen = 'splash';
         this.chart = null;
+        this.modelMixChart = null;
+        this.dayChart = null;
+        this.rateLimitTimer = null;
+
+        // The day detail and statement month shown, and a deep link
+        // waiting for sign-in
+        this.dayDate = null;
+        this.statementMonth = null;
+        this.statementChart = null;
+
+        // A CSV file being previewed before import
+        this.csvImport = null;
+        this.csvPreviewRows = 20;
+        this.pendingRoute = null;
+        
+        // Decrypted profile keys, so the aggregated view does not re-derive
+        // a key for every profile on each real-time tick
+        this.profileCredentials = new Map();
+        
+        // Card styling per model family; unknown families use the default
+        this.modelCardStyles = {
+            opus: { color: 'purple', icon: 'star' },
+            sonnet: { color: 'orange', icon: 'flash_on' },
+            haiku: { color: 'green', icon: 'bolt' },
+            default: { color: 'blue', icon: 'more_horiz' }
+        };
+        this.modelChartColors = ['#9B59B6', '#F39C12', '#2ECC71', '#3498DB', '#E74C3C', '#1ABC9C', '#95A5A6'];
         this.refreshInterval = null;
         this.realTimeInterval = null;
         this.usageData = null;
+        // Billing-cycle projection and usage spikes, recomputed on every
+        // full refresh from a longer history than the shown range
+        this.forecast = null;
+        this.anomalies = { days: [], hours: [] };
+        // What changed since the previous visit, found on the first refresh
+        this.visitChecked = false;
+        this.visitChanges = null;
+        // Set by settings that change usage, so leaving settings reloads it
+        this.settingsChanged = false;
         this.isLoading = false;
         this.currentTheme = 'auto';
         this.isVisible = true;
@@ -25,6 +61,33 @@ class ClaudeUsageMonitor {
             // Initialize storage manager
             const storageInfo = await window.StorageManager.init();
             
+            // Usage cached in localStorage by older versions moves to history
+            await window.HistoryStore.migrateLocalStorage(window.StorageManager)
+                .catch(error => console.error('History migration error:', error));
+            
+            // Apply any user-imported pricing catalog
+            window.PricingCatalog.load(window.StorageManager.getPricingCatalog());
+            
+            // Show the last known rate limits and follow new responses
+            window.RateLimitMonitor.load(window.StorageManager.getRateLimits());
+            window.RateLimitMonitor.onUpdate(() => this.renderRateLimits());
+            this.renderRateLimits();
+            
+            window.BudgetManager.load(window.StorageManager.getBudgets());
+            window.NotificationManager.load(window.StorageManager.getNotificationState());
+            this.applySnoozeLink();
+            await this.handleBackgroundSync();
+            
+            // Deep links, shortcuts and notifications open on a route
+            this.pendingRoute = window.Router.getInitialRoute();
+            window.Router.start((route) => this.handleRoute(route));
+            
+            // Register usage data source adapters
+            window.DataSources.registerDefaults({
+                api: window.ApiService,
+                storage: window.StorageManager
+            });
+            
             // Register service worker for PWA
             this.registerServiceWorker();
             
@@ -70,12 +133,69 @@ class ClaudeUsageMonitor {
             try {
                 const registration = await navigator.serviceWorker.register('/service-worker.js');
                 console.log('Service Worker registered:', registration);
+                
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    // "Snooze" on a notification while the app is open
+                    if (event.data && event.data.type === 'SNOOZE_ALERT') {
+                        window.NotificationManager.snooze(event.data.key, event.data.until);
+                        this.shareWithBackgroundSync();
+                    }
+                    
+                    if (event.data && event.data.type === 'DATA_SYNCED') {
+                        this.handleBackgroundSync();
+                    }
+                });
             } catch (error) {
                 console.error('Service Worker registration failed:', error);
             }
         }
     }
 
+    /**
+     * Keep the service worker's copy of the settings current and register
+     * periodic background sync
+     */
+    async shareWithBackgroundSync() {
+        try {
+            await window.BackgroundSync.share();
+            await window.BackgroundSync.register();
+        } catch (error) {
+            console.error('Background sync setup error:', error);
+        }
+    }
+
+    /**
+     * Take in the alerts a background sync raised, then refresh the dashboard
+     */
+    async handleBackgroundSync() {
+        try {
+            const result = await window.BackgroundSync.applyResult();
+            if (result && this.currentScreen === 'dashboard') {
+                this.loadUsageData();
+            }
+        } catch (error) {
+            console.error('Background sync result error:', error);
+        }
+    }
+
+    /**
+     * Apply a snooze from a notification that opened the app
+     * (/?snooze=<alert key>&until=<epoch ms>)
+     */
+    applySnoozeLink() {
+        const params = new URLSearchParams(window.location.search);
+        const key = params.get('snooze');
+        const until = parseInt(params.get('until'), 10);
+        if (!key || !Number.isFinite(until)) return;
+        
+        window.NotificationManager.snooze(key, until);
+        params.delete('snooze');
+        params.delete('until');
+        const query = params.toString();
+        window.history.replaceState(null, '', 
+            `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
     /**
      * Setup all event listeners
      */
@@ -102,6 +222,148 @@ class ClaudeUsageMonitor {
         const logoutBtn = document.getElementById('logoutBtn');
         logoutBtn.addEventListener('click', () => this.handleLogout());
         
+        // Settings screen
+        const settingsBtn = document.getElementById('settingsBtn');
+        settingsBtn.addEventListener('click', () => this.showSettings());
+        
+        const settingsBackBtn = document.getElementById('settingsBackBtn');
+        settingsBackBtn.addEventListener('click', () => this.goBack());
+        
+        // Day detail screen
+        document.getElementById('dayBackBtn').addEventListener('click', () => this.goBack());
+        document.getElementById('prevDayBtn')
+            .addEventListener('click', () => this.showDay(window.DateRanges.addDays(this.dayDate, -1)));
+        document.getElementById('nextDayBtn')
+            .addEventListener('click', () => this.showDay(window.DateRanges.addDays(this.dayDate, 1)));
+        
+        // Monthly statement screen
+        document.getElementById('statementBackBtn').addEventListener('click', () => this.goBack());
+        document.getElementById('prevMonthBtn')
+            .addEventListener('click', () => this.showStatement(window.UsageExport.addMonths(this.statementMonth, -1)));
+        document.getElementById('nextMonthBtn')
+            .addEventListener('click', () => this.showStatement(window.UsageExport.addMonths(this.statementMonth, 1)));
+        document.getElementById('printStatementBtn').addEventListener('click', () => window.print());
+        
+        const importCsvBtn = document.getElementById('importCsvBtn');
+        importCsvBtn.addEventListener('click', () => document.getElementById('csvFileInput').click());
+        
+        const csvFileInput = document.getElementById('csvFileInput');
+        csvFileInput.addEventListener('change', () => {
+            if (csvFileInput.files[0]) this.importCsvFile(csvFileInput.files[0]);
+            csvFileInput.value = '';
+        });
+        document.getElementById('clearCsvBtn').addEventListener('click', () => this.clearCsvImport());
+        document.getElementById('csvSkipHistory').addEventListener('change', () => this.renderCsvPreview());
+        document.getElementById('csvCommitBtn').addEventListener('click', () => this.commitCsvImport());
+        document.getElementById('csvCancelBtn').addEventListener('click', () => this.closeCsvPreview());
+        
+        const importPricingBtn = document.getElementById('importPricingBtn');
+        importPricingBtn.addEventListener('click', () => document.getElementById('pricingFileInput').click());
+        
+        const pricingFileInput = document.getElementById('pricingFileInput');
+        pricingFileInput.addEventListener('change', () => {
+            if (pricingFileInput.files[0]) this.importPricingFile(pricingFileInput.files[0]);
+            pricingFileInput.value = '';
+        });
+        
+        const resetPricingBtn = document.getElementById('resetPricingBtn');
+        resetPricingBtn.addEventListener('click', () => this.resetPricingCatalog());
+        
+        // Backup and restore (the login screen restores by merging, for a new device)
+        document.getElementById('backupBtn').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('restoreBackupBtn')
+            .addEventListener('click', () => document.getElementById('backupFileInput').click());
+        document.getElementById('loginRestoreBtn').addEventListener('click', () => {
+            document.getElementById('loginRestore').hidden = false;
+            document.getElementById('loginRestorePassphrase').focus();
+        });
+        document.getElementById('loginRestoreFileBtn')
+            .addEventListener('click', () => document.getElementById('backupFileInput').click());
+        
+        const backupFileInput = document.getElementById('backupFileInput');
+        backupFileInput.addEventListener('change', () => {
+            if (backupFileInput.files[0]) {
+                const fromLogin = this.currentScreen !== 'settings';
+                this.restoreBackup(backupFileInput.files[0], fromLogin
+                    ? { passphrase: document.getElementById('loginRestorePassphrase').value, mode: 'merge' }
+                    : { passphrase: document.getElementById('backupPassphrase').value,
+                        mode: document.getElementById('restoreMode').value });
+            }
+            backupFileInput.value = '';
+        });
+        
+        // Claude Code log import (file input is the fallback picker)
+        const importLogsBtn = document.getElementById('importLogsBtn');
+        importLogsBtn.addEventListener('click', () => this.importLocalLogs());
+        
+        const logFileInput = document.getElementById('logFileInput');
+        logFileInput.addEventListener('change', () => {
+            this.processLocalLogFiles([...logFileInput.files]);
+            logFileInput.value = '';
+        });
+        
+        // Profile switcher
+        document.getElementById('profileSelect')
+            .addEventListener('change', (event) => this.handleProfileSelect(event.target.value));
+        document.getElementById('cancelAddProfileBtn')
+            .addEventListener('click', () => this.cancelAddProfile());
+        
+        // Time range selector
+        this.renderTimeRangeSelector();
+        document.getElementById('timeRangeSelect')
+            .addEventListener('change', () => this.saveTimeRange());
+        ['rangeStartDate', 'rangeEndDate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveTimeRange());
+        });
+        document.getElementById('visitDismissBtn').addEventListener('click', () => this.dismissVisitChanges());
+        
+        // Export menu
+        document.getElementById('exportBtn').addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleExportMenu();
+        });
+        document.getElementById('exportOptions').addEventListener('click', (event) => {
+            const option = event.target.closest('[data-export]');
+            if (!option) return;
+            this.toggleExportMenu(false);
+            this.exportUsage(option.dataset.export);
+        });
+        document.addEventListener('click', () => this.toggleExportMenu(false));
+        
+        document.getElementById('planType')
+            .addEventListener('change', (event) => this.choosePlan(event.target.value));
+        ['planTokenLimit', 'planCostLimit', 'planWindowMessages', 'billingCycleDay', 'planTimeZone'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.savePlanSettings());
+        });
+        document.getElementById('weekStartDay').addEventListener('change', (event) => {
+            const prefs = window.StorageManager.getPreferences();
+            prefs.weekStartDay = parseInt(event.target.value, 10);
+            window.StorageManager.savePreferences(prefs);
+            this.settingsChanged = true;
+        });
+        
+        document.getElementById('anomalySensitivity').addEventListener('change', (event) => {
+            const prefs = window.StorageManager.getPreferences();
+            prefs.anomalySensitivity = event.target.value;
+            window.StorageManager.savePreferences(prefs);
+            this.settingsChanged = true;
+        });
+        
+        document.getElementById('notificationsEnabled')
+            .addEventListener('change', (event) => this.toggleNotifications(event.target.checked));
+        ['quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveQuietHours());
+        });
+        
+        document.getElementById('budgetForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.addBudget();
+        });
+        
+        ['demoScenario', 'demoSeed'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveDemoSettings());
+        });
+        
         // Auto-populate credentials if available
         this.checkForSavedCredentials();
     }
@@ -115,7 +377,33 @@ class ClaudeUsageMonitor {
             document.getElementById('email').value = credentials.email || '';
             document.getElementById('apiKey').value = credentials.apiKey || '';
             document.getElementById('rememberMe').checked = credentials.rememberMe || false;
+            document.getElementById('profileName').value = credentials.profileName || '';
+        }
+        
+        const prefs = window.StorageManager.getPreferences();
+        document.getElementById('apiBaseUrl').value = prefs.apiBaseUrl || '';
+    }
+
+    /**
+     * Configure the API service from saved data source preferences
+     */
+    applyDataSourcePreferences(apiKey) {
+        const prefs = window.StorageManager.getPreferences();
+        if (!prefs.dataSources) {
+            prefs.dataSources = this.getDefaultDataSources(apiKey);
+            window.StorageManager.savePreferences(prefs);
         }
+        
+        window.ApiService.setDataSources(prefs.dataSources || []);
+        window.ApiService.setBaseUrl(prefs.apiBaseUrl);
+    }
+
+    /**
+     * Default sources for a first login: usage reports need an admin key,
+     * otherwise start from imported Claude Code logs
+     */
+    getDefaultDataSources(apiKey) {
+        return window.ApiService.isAdminKey(apiKey) ? ['admin'] : ['local-logs'];
     }
 
     /**
@@ -129,6 +417,8 @@ class ClaudeUsageMonitor {
         const email = document.getElementById('email').value;
         const apiKey = document.getElementById('apiKey').value;
         const rememberMe = document.getElementById('rememberMe').checked;
+        const profileName = document.getElementById('profileName').value.trim() || 'Default';
+        const apiBaseUrl = document.getElementById('apiBaseUrl').value.trim();
         
         // Validate inputs
         if (!email || !apiKey) {
@@ -136,35 +426,49 @@ class ClaudeUsageMonitor {
             return;
         }
         
-        if (!window.CryptoUtils.validateApiKey(apiKey)) {
-            this.showToast('Invalid API key format', 'error');
-            return;
-        }
+        // The base URL also applies to validation
+        const prefs = window.StorageManager.getPreferences();
+        prefs.apiBaseUrl = apiBaseUrl;
+        window.StorageManager.savePreferences(prefs);
+        window.ApiService.setBaseUrl(apiBaseUrl);
         
         // Show loading state
         this.setLoadingState(true);
         
         try {
-            // Validate API key with Anthropic
-            const isValid = await window.ApiService.validateApiKey(apiKey);
+            // Validate API key with Anthropic (read-only, no tokens spent)
+            const validation = await window.ApiService.validateApiKey(apiKey);
             
-            if (!isValid) {
-                throw new Error('Invalid API key');
+            if (!validation.valid) {
+                this.showToast(validation.message, 'error');
+                return;
             }
             
-            // Save credentials if remember me is checked
-            if (rememberMe) {
-                await window.StorageManager.saveCredentials(email, apiKey, true);
-            } else {
-                // Save to session only
-                await window.StorageManager.saveCredentials(email, apiKey, false);
-            }
+            // Default data sources follow the key type, once the key is confirmed
+            this.applyDataSourcePreferences(apiKey);
+            
+            // Save as a named profile; without remember me it lasts for the session only
+            await window.StorageManager.saveCredentials(email, apiKey, rememberMe, profileName);
+            this.profileCredentials.clear();
             
             // Set API key for future requests
             window.ApiService.setApiKey(apiKey);
+            this.loadProfileRateLimits();
+            
+            const prefs = window.StorageManager.getPreferences();
+            prefs.showAllProfiles = false;
+            window.StorageManager.savePreferences(prefs);
             
-            // Navigate to dashboard
-            this.showDashboard();
+            // Navigate to the deep-linked screen or the dashboard
+            document.getElementById('cancelAddProfileBtn').hidden = true;
+            this.openPendingRoute();
+            
+            this.showToast(
+                validation.reason === 'rate-limited'
+                    ? validation.message
+                    : this.describeKey(validation),
+                validation.reason === 'rate-limited' ? 'warning' : 'success'
+            );
             
         } catch (error) {
             console.error('Login error:', error);
@@ -174,6 +478,14 @@ class ClaudeUsageMonitor {
         }
     }
 
+    /**
+     * Key type and what it unlocks, e.g. "Admin key: usage reports, cost reports, local tracking"
+     */
+    describeKey({ keyType, capabilities }) {
+        const type = keyType === 'admin' ? 'Admin key' : 'Standard key';
+        return `${type}: ${capabilities.join(', ').toLowerCase()}`;
+    }
+
     /**
      * Auto-login with stored credentials
      */
@@ -181,9 +493,11 @@ class ClaudeUsageMonitor {
         try {
             // Set API key
             window.ApiService.setApiKey(credentials.apiKey);
+            this.applyDataSourcePreferences(credentials.apiKey);
+            this.loadProfileRateLimits();
             
-            // Navigate to dashboard
-            this.showDashboard();
+            // Navigate to the deep-linked screen or the dashboard
+            this.openPendingRoute();
             
             this.showToast('Welcome back!', 'success');
             
@@ -215,6 +529,8 @@ class ClaudeUsageMonitor {
     async clearSavedData() {
         if (confirm('Are you sure you want to clear all saved data?')) {
             window.StorageManager.clearAllData();
+            window.BackgroundSync.unregister().catch(error => console.error('Background sync removal error:', error));
+            window.HistoryStore.clear().catch(error => console.error('History removal error:', error));
             document.getElementById('email').value = '';
             document.getElementById('apiKey').value = '';
             document.getElementById('rememberMe').checked = false;
@@ -227,12 +543,19 @@ class ClaudeUsageMonitor {
      */
     async showDashboard() {
         this.switchScreen('dashboard');
+        // Signing in is not a step to go back to
+        window.Router.go(this.getDashboardRoute(), { replace: true });
+        this.renderProfileSwitcher();
         
         // Load and display usage data
         await this.loadUsageData();
         
         // Setup auto-refresh
         const prefs = window.StorageManager.getPreferences();
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
         if (prefs.autoRefresh) {
             this.refreshInterval = setInterval(() => {
                 this.refreshDashboard();
@@ -252,12 +575,32 @@ class ClaudeUsageMonitor {
             this.showDashboardLoading(true);
             
             // Fetch usage data
-            this.usageData = await window.ApiService.fetchUsageData();
+            this.usageData = await this.fetchDashboardData();
+            // The first refresh of a visit compares with the last one before it
+            const baseline = this.visitChecked
+                ? null
+                : await window.HistoryStore.getLastSnapshot(this.getViewProfileId()).catch(() => null);
+            const saved = this.saveHistory(this.usageData);
+            
+            if (this.usageData.sourceErrors.length > 0) {
+                const labels = this.usageData.sourceErrors.map(error => error.label).join(', ');
+                this.showToast(`Could not load: ${labels}`, 'warning');
+            }
+            
+            await this.updateHistoryViews();
             
             // Update UI elements
             this.updateDashboardStats();
             this.updateChart();
             this.updateProgressBar();
+            this.checkLimitAlerts();
+            // Share once budget alerts are recorded, so syncs do not repeat them
+            const budgetsUpdated = this.updateBudgets();
+            budgetsUpdated.then(() => this.shareWithBackgroundSync());
+            if (!this.visitChecked) {
+                this.visitChecked = true;
+                Promise.all([saved, budgetsUpdated]).then(() => this.showVisitChanges(baseline));
+            }
             
             // Update last updated time
             document.getElementById('lastUpdated').textContent = 
@@ -267,8 +610,8 @@ class ClaudeUsageMonitor {
             console.error('Failed to load usage data:', error);
             this.showToast('Failed to load usage data', 'error');
             
-            // Try to load cached data
-            const cached = window.StorageManager.getUsageData();
+            // Fall back to saved history
+            const cached = await this.loadSavedUsage().catch(() => null);
             if (cached) {
                 this.usageData = cached;
                 this.updateDashboardStats();
@@ -282,139 +625,2218 @@ class ClaudeUsageMonitor {
     }
 
     /**
-     * Update dashboard statistics
+     * Keep a refresh's records, totals and alert state in history
      */
-    updateDashboardStats() {
-        if (!this.usageData) return;
+    saveHistory(data) {
+        return window.HistoryStore.saveRefresh(this.getViewProfileId(), data, { alerts: this.getAlertState() })
+            .catch(error => console.error('Failed to save usage history:', error));
+    }
+
+    /**
+     * Fired budget and limit thresholds of the current view, keyed like
+     * notifications ('budget:<id>', 'limit:tokens|<view>')
+     */
+    getAlertState() {
+        const viewId = this.getViewProfileId();
+        const budgets = Object.entries(window.BudgetManager.state.alerts)
+            .map(([budgetId, state]) => [`budget:${budgetId}`, state]);
+        const limits = Object.entries(window.NotificationManager.state.thresholds)
+            .filter(([key]) => key.endsWith(`|${viewId}`));
         
-        // Update stat cards
-        document.getElementById('totalTokens').textContent = 
-            window.ApiService.formatNumber(this.usageData.totalTokens);
-        document.getElementById('apiCalls').textContent = 
-            window.ApiService.formatNumber(this.usageData.apiCalls);
-        document.getElementById('opusCost').textContent = 
-            this.usageData.opusCost.toFixed(2);
-        document.getElementById('sonnetCost').textContent = 
-            this.usageData.sonnetCost.toFixed(2);
+        return Object.fromEntries([...budgets, ...limits]);
+    }
+
+    /**
+     * Saved records of the current view (one profile plus device-wide
+     * usage, or all) in a range
+     */
+    getSavedRecords(range) {
+        const viewId = this.getViewProfileId();
+        return window.HistoryStore.getRecords({
+            ...range,
+            profileIds: viewId === 'all' ? null : [viewId, 'device']
+        });
+    }
+
+    /**
+     * The selected range rebuilt from saved records, or the view's last
+     * saved summary when history has none of it
+     */
+    async loadSavedUsage() {
+        const viewId = this.getViewProfileId();
+        const range = this.getSelectedRange();
+        const records = await this.getSavedRecords(range);
+        if (records.length === 0) return window.HistoryStore.getLatest(viewId);
         
-        // Update summary
-        document.getElementById('totalCost').textContent = 
-            this.usageData.totalCost.toFixed(2);
-        document.getElementById('webTokens').textContent = 
-            window.ApiService.formatNumber(this.usageData.webTokens);
-        document.getElementById('terminalTokens').textContent = 
-            window.ApiService.formatNumber(this.usageData.terminalTokens);
+        const { tokenLimit, costLimit } = window.PlanManager.getLimits(viewId);
+        return {
+            ...window.ApiService.buildUsageSummary(records),
+            lastUpdated: new Date(Math.max(...records.map(record => record.savedAt))).toISOString(),
+            range,
+            records,
+            sources: [],
+            sourceErrors: [],
+            usageLimit: tokenLimit,
+            costLimit
+        };
     }
 
     /**
-     * Update usage chart
+     * Compare the last snapshot before this visit with saved history now,
+     * over the same days (running on to today when the range did)
      */
-    updateChart() {
-        if (!this.usageData || !this.usageData.dailyUsage) return;
+    async showVisitChanges(baseline) {
+        if (!baseline || !baseline.range) return;
         
-        const ctx = document.getElementById('usageChart').getContext('2d');
+        const takenOn = new Date(baseline.takenAt).toISOString().split('T')[0];
+        const range = {
+            startDate: baseline.range.startDate,
+            endDate: baseline.range.endDate >= takenOn ? window.DateRanges.today() : baseline.range.endDate
+        };
         
-        // Destroy existing chart if present
-        if (this.chart) {
-            this.chart.destroy();
+        try {
+            const summary = window.ApiService.buildUsageSummary(await this.getSavedRecords(range));
+            const changes = window.HistoryStore.diffSnapshots(baseline, {
+                ...summary,
+                alerts: this.getAlertState()
+            });
+            if (changes.tokens <= 0 && changes.thresholds.length === 0) return;
+            
+            this.visitChanges = changes;
+            this.renderVisitChanges();
+            this.renderVisitBadges();
+        } catch (error) {
+            console.error('Failed to compare with the last visit:', error);
         }
+    }
+
+    renderVisitChanges() {
+        const changes = this.visitChanges;
+        const card = document.getElementById('visitCard');
+        card.hidden = !changes;
+        if (!changes) return;
         
-        // Create new chart
-        this.chart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: this.usageData.dailyUsage.map(d => {
-                    const date = new Date(d.date);
-                    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                }),
-                datasets: [{
-                    label: 'Daily Tokens',
-                    data: this.usageData.dailyUsage.map(d => d.tokens),
-                    borderColor: '#3498DB',
-                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
-                    borderWidth: 2,
-                    tension: 0.4,
-                    fill: true,
-                    pointRadius: 4,
-                    pointBackgroundColor: '#3498DB',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                        padding: 12,
-                        cornerRadius: 8,
-                        callbacks: {
-                            label: (context) => {
-                                return `Tokens: ${window.ApiService.formatNumber(context.parsed.y)}`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        grid: {
-                            color: 'rgba(0, 0, 0, 0.05)'
-                        },
-                        ticks: {
-                            callback: (value) => {
-                                if (value >= 1000000) {
-                                    return (value / 1000000).toFixed(1) + 'M';
-                                } else if (value >= 1000) {
-                                    return (value / 1000).toFixed(0) + 'K';
-                                }
-                                return value;
-                            }
-                        }
-                    },
-                    x: {
-                        grid: {
-                            display: false
-                        }
-                    }
-                }
-            }
+        const format = window.ApiService.formatNumber.bind(window.ApiService);
+        const rows = [
+            ['Tokens', `+${format(changes.tokens)}`],
+            ['Cost', `+$${changes.cost.toFixed(2)}`],
+            ...changes.models.slice(0, 3).map(model => [model.name, `+${format(model.tokens)} tokens`]),
+            ...changes.thresholds.map(({ key, threshold }) => [
+                this.describeAlertKey(key.split('|')[0]),
+                `passed ${threshold}%`
+            ])
+        ];
+        
+        const list = document.getElementById('visitChanges');
+        list.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'summary-item';
+            row.innerHTML = '<span class="summary-label"></span><span class="summary-value"></span>';
+            // Model and budget names can come from user input
+            row.querySelector('.summary-label').textContent = `${label}:`;
+            row.querySelector('.summary-value').textContent = value;
+            list.appendChild(row);
         });
+        
+        document.getElementById('visitNote').textContent = 
+            `Last visit: ${window.ApiService.formatDate(changes.since)}`;
     }
 
     /**
-     * Update progress bar
+     * Put the changes since the last visit on the stat cards as badges
      */
-    updateProgressBar() {
-        if (!this.usageData) return;
+    renderVisitBadges() {
+        const changes = this.visitChanges;
+        const format = window.ApiService.formatNumber.bind(window.ApiService);
+        const setBadge = (badge, text) => {
+            badge.hidden = !text;
+            badge.textContent = text || '';
+        };
         
-        const percentage = Math.min(
-            (this.usageData.totalTokens / this.usageData.usageLimit) * 100,
-            100
-        );
+        setBadge(document.getElementById('totalTokensDelta'), changes && `+${format(changes.tokens)}`);
+        setBadge(document.getElementById('apiCallsDelta'), 
+            changes && changes.apiCalls > 0 && `+${format(changes.apiCalls)}`);
+        setBadge(document.getElementById('totalCostDelta'), 
+            changes && changes.cost > 0 && `+$${changes.cost.toFixed(2)}`);
         
-        const progressBar = document.getElementById('usageProgressBar');
-        const progressPercentage = document.getElementById('usagePercentage');
-        const usedTokens = document.getElementById('usedTokens');
-        const limitTokens = document.getElementById('limitTokens');
+        document.querySelectorAll('#modelStatsGrid .stat-card').forEach(card => {
+            const model = changes && changes.models.find(entry => entry.id === card.dataset.model);
+            setBadge(card.querySelector('.delta-badge'), model && `+${format(model.tokens)}`);
+        });
+    }
+
+    dismissVisitChanges() {
+        this.visitChanges = null;
+        this.renderVisitChanges();
+        this.renderVisitBadges();
+    }
+
+    /**
+     * Show settings screen
+     */
+    showSettings() {
+        this.settingsChanged = false;
+        this.renderDataSourceSettings();
+        this.renderCsvImportStatus();
+        this.renderPricingStatus();
+        this.renderPlanSettings();
+        document.getElementById('weekStartDay').value = 
+            window.StorageManager.getPreferences().weekStartDay;
+        this.renderBudgetSettings();
+        this.renderAnomalySettings();
+        this.renderNotificationSettings();
+        this.renderDemoSettings();
+        this.renderKeyInfo();
+        this.renderProfileSettings();
+        this.switchScreen('settings');
+        window.Router.go({ name: 'settings' });
+    }
+
+    /**
+     * Show the screen for a route from the address bar, a shortcut, a
+     * notification or the back and forward buttons
+     */
+    async handleRoute(route) {
+        route = route || { name: 'dashboard', range: null };
+        
+        // Deep links wait until someone is signed in
+        if (!window.StorageManager.getSession()) {
+            if (route.name !== 'login') this.pendingRoute = route;
+            this.showLoginScreen();
+            return;
+        }
+        
+        switch (route.name) {
+            case 'login':
+                this.showAddProfile();
+                break;
+            case 'settings':
+                this.showSettings();
+                break;
+            case 'day':
+                await this.showDay(route.date);
+                break;
+            case 'statement':
+                await this.showStatement(route.month);
+                break;
+            default:
+                await this.openDashboard(route.range);
+        }
+    }
+
+    /**
+     * After signing in, open the route the app was opened on, if any
+     */
+    async openPendingRoute() {
+        const route = this.pendingRoute;
+        this.pendingRoute = null;
+        await this.handleRoute(route && route.name !== 'login' ? route : null);
+    }
+
+    /**
+     * Go to the dashboard, optionally for a saved range selection. From
+     * another screen it only reloads if settings or the range changed.
+     */
+    async openDashboard(selection = null) {
+        const rangeChanged = Boolean(selection) && this.setTimeRange(selection);
         
-        progressBar.style.width = percentage + '%';
-        progressPercentage.textContent = percentage.toFixed(1) + '%';
-        usedTokens.textContent = window.ApiService.formatNumber(this.usageData.totalTokens);
-        limitTokens.textContent = window.ApiService.formatNumber(this.usageData.usageLimit);
+        // Opened on another screen, the dashboard has not loaded yet
+        if (!this.usageData || !['dashboard', 'settings', 'day', 'statement'].includes(this.currentScreen)) {
+            await this.showDashboard();
+            return;
+        }
+        
+        this.switchScreen('dashboard');
+        window.Router.go(this.getDashboardRoute());
         
-        // Change color based on usage
-        if (percentage > 80) {
-            progressBar.style.background = 'linear-gradient(90deg, #E74C3C, #C0392B)';
-        } else if (percentage > 60) {
-            progressBar.style.background = 'linear-gradient(90deg, #F39C12, #E67E22)';
+        if (this.settingsChanged || rangeChanged) {
+            this.settingsChanged = false;
+            await this.loadUsageData();
+        }
+    }
+
+    /**
+     * The dashboard's route for the saved range
+     */
+    getDashboardRoute() {
+        return { name: 'dashboard', range: window.StorageManager.getPreferences().timeRange };
+    }
+
+    /**
+     * Back to the previous screen, or to the dashboard when the app was
+     * opened on this one
+     */
+    goBack() {
+        if (window.Router.canGoBack()) {
+            window.history.back();
+        } else {
+            this.openDashboard();
         }
     }
 
+    /**
+     * Render a checkbox per registered data source
+     */
+    renderDataSourceSettings() {
+        const list = document.getElementById('dataSourceList');
+        const enabled = window.StorageManager.getPreferences().dataSources || [];
+        
+        list.innerHTML = '';
+        window.DataSources.list().forEach(source => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.innerHTML = `
+                <input type="checkbox" value="${source.id}" ${enabled.includes(source.id) ? 'checked' : ''}>
+                <span class="checkbox-custom"></span>
+                <span>${source.label}</span>
+            `;
+            label.querySelector('input').addEventListener('change', () => this.saveDataSourceSettings());
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Usage for a range (the selected one by default): the signed-in
+     * profile's, or summed over every profile in the "All profiles" view
+     */
+    async fetchDashboardData(range = this.getSelectedRange()) {
+        const data = this.isAllProfilesView()
+            ? await window.ApiService.fetchProfilesUsageData(range, await this.getAllProfileCredentials())
+            : await window.ApiService.fetchUsageData(range);
+        
+        const { tokenLimit, costLimit } = window.PlanManager.getLimits(this.getViewProfileId());
+        data.usageLimit = tokenLimit;
+        data.costLimit = costLimit;
+        
+        return data;
+    }
+
+    /**
+     * Whether the dashboard sums all profiles (needs more than one)
+     */
+    isAllProfilesView() {
+        return window.StorageManager.getPreferences().showAllProfiles &&
+               window.StorageManager.listProfiles().length > 1;
+    }
+
+    /**
+     * Profile the shown data belongs to, for caching
+     */
+    getViewProfileId() {
+        return this.isAllProfilesView() ? 'all' : window.StorageManager.getActiveProfileId();
+    }
+
+    async getCachedProfileCredentials(profileId) {
+        if (!this.profileCredentials.has(profileId)) {
+            try {
+                this.profileCredentials.set(profileId, await window.StorageManager.getProfileCredentials(profileId));
+            } catch (error) {
+                console.error(`Failed to decrypt profile ${profileId}:`, error);
+                return null;
+            }
+        }
+        return this.profileCredentials.get(profileId);
+    }
+
+    /**
+     * Fill the header switcher with the profiles, the aggregated view and "Add profile"
+     */
+    renderProfileSwitcher() {
+        const select = document.getElementById('profileSelect');
+        const profiles = window.StorageManager.listProfiles();
+        
+        select.innerHTML = '';
+        profiles.forEach(profile => select.add(new Option(profile.name, profile.id)));
+        if (profiles.length > 1) select.add(new Option('All profiles', '__all__'));
+        select.add(new Option('Add profile…', '__add__'));
+        
+        select.value = this.isAllProfilesView() ? '__all__' : window.StorageManager.getActiveProfileId();
+    }
+
+    /**
+     * React to the header profile switcher
+     */
+    async handleProfileSelect(value) {
+        const prefs = window.StorageManager.getPreferences();
+        
+        if (value === '__add__') {
+            this.renderProfileSwitcher();
+            this.showAddProfile();
+            return;
+        }
+        
+        prefs.showAllProfiles = value === '__all__';
+        window.StorageManager.savePreferences(prefs);
+        
+        if (value !== '__all__') {
+            await this.switchProfile(value);
+        }
+        await this.loadUsageData();
+    }
+
+    /**
+     * Sign in as another stored profile
+     */
+    async switchProfile(profileId) {
+        try {
+            const credentials = await window.StorageManager.setActiveProfile(profileId);
+            if (!credentials) throw new Error('Profile not found');
+            
+            window.ApiService.setApiKey(credentials.apiKey);
+            this.applyDataSourcePreferences(credentials.apiKey);
+            this.loadProfileRateLimits();
+        } catch (error) {
+            console.error('Profile switch error:', error);
+            this.showToast('Could not switch profile', 'error');
+            this.renderProfileSwitcher();
+        }
+    }
+
+    /**
+     * Show the rate limits last seen for the signed-in profile's key
+     */
+    loadProfileRateLimits() {
+        window.RateLimitMonitor.load(window.StorageManager.getRateLimits());
+        this.renderRateLimits();
+    }
+
+    /**
+     * Open the login form to add another profile
+     */
+    showAddProfile() {
+        this.switchScreen('login');
+        window.Router.go({ name: 'login' });
+        ['email', 'apiKey', 'profileName'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('rememberMe').checked = true;
+        document.getElementById('cancelAddProfileBtn').hidden = false;
+        document.getElementById('profileName').focus();
+    }
+
+    cancelAddProfile() {
+        document.getElementById('cancelAddProfileBtn').hidden = true;
+        this.goBack();
+    }
+
+    /**
+     * List stored profiles with their token limits
+     */
+    renderProfileSettings() {
+        const list = document.getElementById('profileList');
+        const activeId = window.StorageManager.getActiveProfileId();
+        
+        list.innerHTML = '';
+        window.StorageManager.listProfiles().forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <div class="profile-row-info">
+                    <div class="profile-row-name"></div>
+                    <div class="profile-row-key"></div>
+                </div>
+                <input type="number" class="settings-number" min="0" step="100000"
+                       placeholder="Plan limit" title="Token limit" aria-label="Token limit">
+                <button type="button" class="icon-btn" title="Remove profile">
+                    <span class="material-icons-round">delete_outline</span>
+                </button>
+            `;
+            row.querySelector('.profile-row-name').textContent = 
+                profile.id === activeId ? `${profile.name} (signed in)` : profile.name;
+            row.querySelector('.profile-row-key').textContent = 
+                `${profile.keyHint}${profile.remembered ? '' : ' · this session only'}`;
+            
+            const limitInput = row.querySelector('input');
+            limitInput.value = profile.usageLimit || '';
+            limitInput.disabled = !profile.remembered;
+            limitInput.addEventListener('change', () => {
+                window.StorageManager.updateProfile(profile.id, {
+                    usageLimit: parseInt(limitInput.value, 10) || null
+                });
+                this.settingsChanged = true;
+            });
+            
+            row.querySelector('button').addEventListener('click', () => this.removeProfile(profile));
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Forget a profile; removing the signed-in one switches to another
+     */
+    async removeProfile(profile) {
+        if (!confirm(`Remove profile "${profile.name}" and its saved key?`)) return;
+        
+        const wasActive = profile.id === window.StorageManager.getActiveProfileId();
+        window.StorageManager.removeProfile(profile.id);
+        window.BudgetManager.removeProfileBudgets(profile.id);
+        window.HistoryStore.removeProfile(profile.id).catch(error => console.error('History removal error:', error));
+        this.profileCredentials.delete(profile.id);
+        
+        if (wasActive) {
+            const next = window.StorageManager.listProfiles()[0];
+            if (!next) {
+                this.showLoginScreen();
+                return;
+            }
+            await this.switchProfile(next.id);
+        }
+        
+        this.renderProfileSettings();
+        this.settingsChanged = true;
+    }
+
+    /**
+     * Fill the range selector from the saved selection
+     */
+    renderTimeRangeSelector() {
+        const select = document.getElementById('timeRangeSelect');
+        const selection = window.StorageManager.getPreferences().timeRange;
+        
+        select.innerHTML = window.DateRanges.presets
+            .map(preset => `<option value="${preset.id}">${preset.label}</option>`)
+            .join('');
+        select.value = selection.preset;
+        
+        // Seed the custom inputs with the range currently shown
+        const range = this.getSelectedRange();
+        document.getElementById('rangeStartDate').value = selection.startDate || range.startDate;
+        document.getElementById('rangeEndDate').value = selection.endDate || range.endDate;
+        document.getElementById('customRangeInputs').hidden = selection.preset !== 'custom';
+    }
+
+    /**
+     * The { startDate, endDate } range the dashboard should show
+     */
+    getSelectedRange() {
+        const prefs = window.StorageManager.getPreferences();
+        const plan = window.PlanManager.getPlan();
+        return window.DateRanges.resolve(prefs.timeRange, {
+            billingCycleDay: plan.billingCycleDay,
+            cycleToday: window.DateRanges.today(plan.timeZone)
+        });
+    }
+
+    /**
+     * Persist the range selection and reload the dashboard for it
+     */
+    async saveTimeRange() {
+        const preset = document.getElementById('timeRangeSelect').value;
+        const prefs = window.StorageManager.getPreferences();
+        
+        prefs.timeRange = preset === 'custom'
+            ? {
+                preset,
+                startDate: document.getElementById('rangeStartDate').value || null,
+                endDate: document.getElementById('rangeEndDate').value || null
+            }
+            : { preset, startDate: null, endDate: null };
+        window.StorageManager.savePreferences(prefs);
+        
+        document.getElementById('customRangeInputs').hidden = preset !== 'custom';
+        window.Router.go(this.getDashboardRoute());
+        await this.loadUsageData();
+    }
+
+    /**
+     * Save a range selection from a route; returns whether it changed
+     */
+    setTimeRange(selection) {
+        const prefs = window.StorageManager.getPreferences();
+        if (JSON.stringify(prefs.timeRange) === JSON.stringify(selection)) return false;
+        
+        prefs.timeRange = selection;
+        window.StorageManager.savePreferences(prefs);
+        this.renderTimeRangeSelector();
+        return true;
+    }
+
+    /**
+     * Show the saved plan in settings
+     */
+    renderPlanSettings() {
+        const plan = window.PlanManager.getPlan();
+        
+        const type = document.getElementById('planType');
+        type.innerHTML = '';
+        Object.entries(window.PlanManager.plans).forEach(([id, { label, price }]) => {
+            type.add(new Option(price ? `${label} ($${price}/mo)` : label, id));
+        });
+        type.value = plan.type;
+        
+        const timeZone = document.getElementById('planTimeZone');
+        timeZone.innerHTML = '';
+        window.PlanManager.listTimeZones().forEach(zone => timeZone.add(new Option(zone, zone)));
+        timeZone.value = plan.timeZone;
+        
+        document.getElementById('planTokenLimit').value = plan.tokenLimit || '';
+        document.getElementById('planCostLimit').value = plan.costLimit || '';
+        document.getElementById('planWindowMessages').value = plan.windowMessages || '';
+        document.getElementById('billingCycleDay').value = plan.billingCycleDay;
+    }
+
+    /**
+     * Switch plans, filling in the new plan's limits
+     */
+    choosePlan(type) {
+        const plan = window.PlanManager.withPreset(window.PlanManager.getPlan(), type);
+        document.getElementById('planTokenLimit').value = plan.tokenLimit || '';
+        document.getElementById('planCostLimit').value = plan.costLimit || '';
+        document.getElementById('planWindowMessages').value = plan.windowMessages || '';
+        this.savePlanSettings();
+    }
+
+    /**
+     * Save the plan form; invalid input is reported and reverted
+     */
+    savePlanSettings() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isNaN(value) ? null : value;
+        };
+        
+        try {
+            window.PlanManager.save({
+                type: document.getElementById('planType').value,
+                tokenLimit: number('planTokenLimit'),
+                costLimit: number('planCostLimit'),
+                windowMessages: number('planWindowMessages'),
+                billingCycleDay: number('billingCycleDay'),
+                timeZone: document.getElementById('planTimeZone').value
+            });
+            this.settingsChanged = true;
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+        
+        this.renderPlanSettings();
+    }
+
+    /**
+     * Show notification and quiet-hours preferences and active snoozes
+     */
+    renderNotificationSettings() {
+        const notifications = window.NotificationManager;
+        const prefs = window.StorageManager.getPreferences();
+        
+        document.getElementById('notificationsEnabled').checked = 
+            prefs.notifications && notifications.isSupported() && Notification.permission === 'granted';
+        document.getElementById('quietHoursEnabled').checked = prefs.quietHours.enabled;
+        document.getElementById('quietHoursStart').value = prefs.quietHours.start;
+        document.getElementById('quietHoursEnd').value = prefs.quietHours.end;
+        
+        const list = document.getElementById('snoozeList');
+        list.innerHTML = '';
+        notifications.listSnoozes().forEach(({ key, until }) => {
+            const row = document.createElement('div');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <div class="profile-row-info">
+                    <div class="profile-row-name"></div>
+                    <div class="profile-row-key">Snoozed until ${new Date(until).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}</div>
+                </div>
+                <button type="button" class="icon-btn" title="Stop snoozing">
+                    <span class="material-icons-round">notifications_active</span>
+                </button>
+            `;
+            row.querySelector('.profile-row-name').textContent = this.describeAlertKey(key);
+            row.querySelector('button').addEventListener('click', () => {
+                notifications.unsnooze(key);
+                this.renderNotificationSettings();
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Name of the alert a notification key stands for
+     */
+    describeAlertKey(key) {
+        const [kind, id] = key.split(/:(.*)/);
+        switch (kind) {
+            case 'limit':
+                return id === 'cost' ? 'Spend limit' : 'Token limit';
+            case 'budget': {
+                const budget = window.BudgetManager.list().find(entry => entry.id === id);
+                return budget ? `${window.BudgetManager.describe(budget)} budget` : 'Removed budget';
+            }
+            case 'anomaly':
+                return id === 'usage' ? 'Usage spikes' : `${window.ApiService.getModelName(id)} spikes`;
+            default:
+                return key;
+        }
+    }
+
+    /**
+     * Turn system notifications on (asking for permission) or off
+     */
+    async toggleNotifications(enabled) {
+        const granted = enabled && await window.NotificationManager.requestPermission();
+        if (enabled && !granted) {
+            document.getElementById('notificationsEnabled').checked = false;
+            this.showToast('Notifications are blocked. Allow them in your browser settings.', 'warning');
+            return;
+        }
+        
+        const prefs = window.StorageManager.getPreferences();
+        prefs.notifications = enabled;
+        window.StorageManager.savePreferences(prefs);
+    }
+
+    saveQuietHours() {
+        const prefs = window.StorageManager.getPreferences();
+        prefs.quietHours = {
+            enabled: document.getElementById('quietHoursEnabled').checked,
+            start: document.getElementById('quietHoursStart').value || prefs.quietHours.start,
+            end: document.getElementById('quietHoursEnd').value || prefs.quietHours.end
+        };
+        window.StorageManager.savePreferences(prefs);
+    }
+
+    /**
+     * Fill the anomaly sensitivity choices
+     */
+    renderAnomalySettings() {
+        const select = document.getElementById('anomalySensitivity');
+        select.innerHTML = '';
+        Object.entries(window.AnomalyDetector.sensitivities).forEach(([id, { label }]) => {
+            select.add(new Option(label, id));
+        });
+        select.value = window.StorageManager.getPreferences().anomalySensitivity;
+    }
+
+    /**
+     * Show the signed-in key's type and what it unlocks
+     */
+    renderKeyInfo() {
+        const keyInfo = window.ApiService.getKeyInfo();
+        document.getElementById('apiKeyType').textContent = 
+            keyInfo.keyType === 'admin' ? 'Admin key' : 'Standard key';
+        document.getElementById('apiKeyCapabilities').textContent = keyInfo.capabilities.join(', ');
+    }
+
+    /**
+     * Show the demo generator's scenario and seed
+     */
+    renderDemoSettings() {
+        const demo = window.DataSources.get('demo');
+        const { seed, scenario } = demo.getSettings();
+        const select = document.getElementById('demoScenario');
+        
+        select.innerHTML = Object.entries(demo.scenarios)
+            .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+            .join('');
+        select.value = scenario;
+        document.getElementById('demoSeed').value = seed;
+    }
+
+    /**
+     * Persist the demo scenario and seed
+     */
+    saveDemoSettings() {
+        const prefs = window.StorageManager.getPreferences();
+        prefs.demoScenario = document.getElementById('demoScenario').value;
+        prefs.demoSeed = document.getElementById('demoSeed').value.trim() || null;
+        window.StorageManager.savePreferences(prefs);
+        
+        if ((prefs.dataSources || []).includes('demo')) this.settingsChanged = true;
+    }
+
+    /**
+     * Persist the checked data sources
+     */
+    saveDataSourceSettings() {
+        const sourceIds = [...document.querySelectorAll('#dataSourceList input:checked')]
+            .map(input => input.value);
+        
+        const prefs = window.StorageManager.getPreferences();
+        prefs.dataSources = sourceIds;
+        window.StorageManager.savePreferences(prefs);
+        
+        window.ApiService.setDataSources(sourceIds);
+        this.settingsChanged = true;
+    }
+
+    /**
+     * Show what the CSV source currently holds
+     */
+    renderCsvImportStatus() {
+        const imported = window.StorageManager.getCsvImport();
+        document.getElementById('csvImportStatus').textContent = imported
+            ? `${imported.records.length} rows, last from ${imported.fileName}`
+            : 'Nothing imported';
+        document.getElementById('clearCsvBtn').hidden = !imported;
+    }
+
+    /**
+     * Read a CSV file and preview how it would be imported
+     */
+    async importCsvFile(file) {
+        try {
+            this.csvImport = { fileName: file.name, table: window.CsvImporter.read(await file.text()), history: [] };
+            if (this.csvImport.table.rows.length === 0) {
+                this.csvImport = null;
+                this.showToast('No usage rows found in the CSV file', 'warning');
+                return;
+            }
+            
+            this.renderCsvMapping();
+            await this.updateCsvPreview();
+            document.getElementById('csvPreview').hidden = false;
+        } catch (error) {
+            console.error('CSV import error:', error);
+            this.showToast(`Failed to import CSV: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * One row per file column, with a choice of the field it is read as
+     */
+    renderCsvMapping() {
+        const { fileName, table } = this.csvImport;
+        document.getElementById('csvPreviewFile').textContent =
+            `${fileName}: ${table.rows.length} rows. Columns left as "Ignore" are not imported.`;
+
+        const body = document.getElementById('csvMapping');
+        body.innerHTML = '';
+        table.header.forEach((name, index) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = name;
+            row.insertCell().textContent = table.rows[0][index] || '';
+
+            const select = document.createElement('select');
+            select.className = 'settings-number';
+            select.setAttribute('aria-label', `Read ${name} as`);
+            select.add(new Option('Ignore', ''));
+            window.CsvImporter.fields.forEach(field => select.add(new Option(field.label, field.id)));
+            select.value = table.mapping[index] || '';
+            select.addEventListener('change', () => {
+                table.mapping[index] = select.value || null;
+                this.updateCsvPreview();
+            });
+            row.insertCell().appendChild(select);
+        });
+    }
+
+    /**
+     * Rebuild the previewed rows for the current mapping, comparing them
+     * with the import and with saved history of the same days
+     */
+    async updateCsvPreview() {
+        const importer = window.CsvImporter;
+        const { table } = this.csvImport;
+
+        try {
+            this.csvImport.records = importer.buildRecords(table, table.mapping);
+            this.csvImport.error = null;
+        } catch (error) {
+            this.csvImport.records = [];
+            this.csvImport.error = error.message;
+        }
+
+        const records = this.csvImport.records;
+        if (records.length > 0) {
+            // History is per device, so any profile's records count
+            this.csvImport.history = await window.HistoryStore.getRecords({
+                startDate: records[0].date,
+                endDate: records[records.length - 1].date
+            }).catch(() => []);
+        }
+
+        this.renderCsvPreview();
+    }
+
+    renderCsvPreview() {
+        const importer = window.CsvImporter;
+        const { table, records, history, error } = this.csvImport;
+        const imported = window.StorageManager.getCsvImport();
+        const rows = importer.preview(records, table.mapping, { imported: imported ? imported.records : [], history });
+        const skipHistory = document.getElementById('csvSkipHistory').checked;
+        this.csvImport.rows = rows;
+
+        const counts = { new: 0, update: 0, duplicate: 0, history: 0 };
+        rows.forEach(row => { counts[row.status]++; });
+        const importing = counts.new + counts.update + (skipHistory ? 0 : counts.history);
+        this.csvImport.importing = importing;
+
+        document.getElementById('csvPreviewSummary').textContent = error || [
+            `${counts.new} new`,
+            `${counts.update} updating imported rows`,
+            `${counts.duplicate} already imported`,
+            `${counts.history} already reported by other sources`
+        ].join(' · ');
+
+        const commit = document.getElementById('csvCommitBtn');
+        commit.disabled = importing === 0;
+        commit.lastChild.textContent = ` Import ${importing} rows`;
+
+        const labels = { new: 'New', update: 'Updates imported', duplicate: 'Already imported', history: 'In history' };
+        const body = document.getElementById('csvPreviewRows');
+        body.innerHTML = '';
+        rows.slice(0, this.csvPreviewRows).forEach(({ record, status }) => {
+            const row = body.insertRow();
+            [
+                record.date,
+                window.ApiService.getModelName(record.model),
+                window.ApiService.formatNumber(record.tokens),
+                record.cost === null ? '—' : `$${record.cost.toFixed(2)}`,
+                labels[status]
+            ].forEach(cell => { row.insertCell().textContent = cell; });
+        });
+        if (rows.length > this.csvPreviewRows) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 5;
+            cell.textContent = `…and ${rows.length - this.csvPreviewRows} more`;
+        }
+    }
+
+    /**
+     * Merge the previewed rows into the CSV data source and enable it
+     */
+    commitCsvImport() {
+        const { fileName, table, rows, importing } = this.csvImport;
+        const imported = window.StorageManager.getCsvImport();
+        const records = window.CsvImporter.merge(imported ? imported.records : [], rows, table.mapping, {
+            skipHistory: document.getElementById('csvSkipHistory').checked
+        });
+
+        const saved = window.StorageManager.saveCsvImport({
+            fileName,
+            importedAt: new Date().toISOString(),
+            records
+        });
+        if (!saved) {
+            this.showToast('Not enough storage space for this import', 'error');
+            return;
+        }
+
+        const prefs = window.StorageManager.getPreferences();
+        if (!(prefs.dataSources || []).includes('csv')) {
+            prefs.dataSources = [...(prefs.dataSources || []), 'csv'];
+            window.StorageManager.savePreferences(prefs);
+            window.ApiService.setDataSources(prefs.dataSources);
+            this.renderDataSourceSettings();
+        }
+
+        this.closeCsvPreview();
+        this.renderCsvImportStatus();
+        this.settingsChanged = true;
+        this.showToast(`Imported ${importing} rows from ${fileName}`, 'success');
+    }
+
+    closeCsvPreview() {
+        this.csvImport = null;
+        document.getElementById('csvPreview').hidden = true;
+    }
+
+    clearCsvImport() {
+        if (!confirm('Remove all imported CSV rows?')) return;
+
+        window.StorageManager.clearCsvImport();
+        this.renderCsvImportStatus();
+        this.settingsChanged = true;
+        this.showToast('CSV import cleared', 'success');
+    }
+
+    /**
+     * Show which pricing catalog is active
+     */
+    renderPricingStatus() {
+        const catalog = window.PricingCatalog;
+        const models = catalog.listModels().length;
+        
+        document.getElementById('pricingCatalogStatus').textContent = catalog.importedAt
+            ? `Imported ${catalog.catalog.version} (${models} models)`
+            : `Built-in ${catalog.catalog.version} (${models} models)`;
+    }
+
+    /**
+     * Import a JSON pricing catalog on top of the built-in prices
+     */
+    async importPricingFile(file) {
+        try {
+            const catalog = window.PricingCatalog.parse(await file.text());
+            
+            window.StorageManager.savePricingCatalog(catalog);
+            window.PricingCatalog.load(catalog);
+            
+            this.renderPricingStatus();
+            this.settingsChanged = true;
+            this.showToast(`Pricing updated for ${Object.keys(catalog.models).length} models`, 'success');
+        } catch (error) {
+            console.error('Pricing import error:', error);
+            this.showToast(`Failed to import pricing: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Discard the imported pricing catalog
+     */
+    resetPricingCatalog() {
+        window.StorageManager.clearPricingCatalog();
+        window.PricingCatalog.load(null);
+        
+        this.renderPricingStatus();
+        this.settingsChanged = true;
+        this.showToast('Using built-in prices', 'success');
+    }
+
+    /**
+     * Save profiles, settings and history to a file encrypted with the
+     * passphrase entered twice
+     */
+    async downloadBackup() {
+        const passphrase = document.getElementById('backupPassphrase').value;
+        if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+            this.showToast('The passphrases do not match', 'warning');
+            return;
+        }
+        
+        try {
+            const text = await window.BackupManager.create(passphrase);
+            window.UsageExport.download(window.BackupManager.getFilename(), text, 'application/json');
+            document.getElementById('backupPassphraseConfirm').value = '';
+            this.showToast('Backup saved. Keep the passphrase; it cannot be recovered.', 'success');
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.showToast(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore a backup file, merging with or replacing this device's data,
+     * then reload to start from the restored state
+     */
+    async restoreBackup(file, { passphrase, mode }) {
+        if (!passphrase) {
+            this.showToast('Enter the backup\'s passphrase first', 'warning');
+            return;
+        }
+        
+        try {
+            const payload = await window.BackupManager.read(await file.text(), passphrase);
+            const action = mode === 'replace'
+                ? 'Replace all data on this device with'
+                : 'Add to this device\'s data';
+            if (!confirm(`${action} the backup of ${window.BackupManager.describe(payload)}?`)) return;
+            
+            // Nothing may refresh over the restore before the reload
+            if (this.refreshInterval) {
+                clearInterval(this.refreshInterval);
+                this.refreshInterval = null;
+            }
+            await window.BackgroundSync.unregister().catch(error => console.error('Background sync removal error:', error));
+            await window.BackupManager.restore(payload, mode);
+            
+            this.showToast('Backup restored', 'success');
+            setTimeout(() => window.location.reload(), 1000);
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showToast(`Restore failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Update dashboard statistics
+     */
+    updateDashboardStats() {
+        if (!this.usageData) return;
+        
+        // Update stat cards
+        document.getElementById('totalTokens').textContent = 
+            window.ApiService.formatNumber(this.usageData.totalTokens);
+        // Not every source reports request counts
+        document.getElementById('apiCalls').textContent = this.usageData.apiCalls === null
+            ? '—'
+            : window.ApiService.formatNumber(this.usageData.apiCalls);
+        this.renderModelCards(this.usageData.models || []);
+        
+        // Update prompt caching panel
+        const cache = this.usageData.cache;
+        if (cache) {
+            document.getElementById('cacheHitRate').textContent = (cache.hitRate * 100).toFixed(1);
+            document.getElementById('cacheSavings').textContent = cache.savings.toFixed(2);
+            document.getElementById('cacheReadTokens').textContent = 
+                window.ApiService.formatNumber(cache.readTokens);
+            document.getElementById('cacheCreationTokens').textContent = 
+                window.ApiService.formatNumber(cache.creationTokens);
+        }
+        
+        // Update summary
+        document.getElementById('summaryPeriod').textContent = this.usageData.range
+            ? window.DateRanges.formatRange(this.usageData.range)
+            : '—';
+        document.getElementById('totalCost').textContent = 
+            this.usageData.totalCost.toFixed(2);
+        
+        // Only the "All profiles" view carries per-profile totals
+        const profileTotals = this.usageData.profileTotals;
+        document.getElementById('profileTotalsItem').hidden = !profileTotals;
+        document.getElementById('profileTotals').textContent = profileTotals
+            ? profileTotals.map(profile => `${profile.name} $${profile.cost.toFixed(2)}`).join(' · ')
+            : '';
+        document.getElementById('costBasis').textContent = 
+            this.describeCostBasis(this.usageData.costBasis, this.usageData.costEstimates);
+        document.getElementById('webTokens').textContent = 
+            window.ApiService.formatNumber(this.usageData.webTokens);
+        document.getElementById('terminalTokens').textContent = 
+            window.ApiService.formatNumber(this.usageData.terminalTokens);
+        document.getElementById('terminalSessions').textContent = 
+            window.ApiService.formatNumber(this.usageData.terminalSessions || 0);
+        document.getElementById('lastTerminalSession').textContent = this.usageData.lastTerminalSession
+            ? window.ApiService.formatDate(this.usageData.lastTerminalSession)
+            : 'Never';
+        
+        this.renderSessionWindow();
+        this.renderVisitBadges();
+    }
+
+    /**
+     * Current 5-hour window from imported Claude Code logs, for plans
+     * with a per-window allowance
+     */
+    renderSessionWindow() {
+        const plan = window.PlanManager.getPlan();
+        const summary = window.StorageManager.getLocalLogSummary();
+        const card = document.getElementById('sessionWindowCard');
+        
+        card.hidden = !plan.windowMessages || !summary;
+        if (card.hidden) return;
+        
+        const status = window.SessionWindowTracker.getStatus(summary.recentMessages, plan.windowMessages);
+        const list = document.getElementById('sessionWindow');
+        const percentage = document.getElementById('sessionWindowPercentage');
+        const time = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        
+        if (!status.current) {
+            percentage.textContent = '0%';
+            list.innerHTML = `
+                <p class="settings-hint">
+                    No open window. The next message starts one with ~${status.remaining} messages.
+                </p>
+            `;
+        } else {
+            const used = status.used * 100;
+            const level = used >= 100 ? 'over' : (used >= 80 ? 'near' : '');
+            percentage.textContent = `${Math.min(used, 100).toFixed(0)}%`;
+            list.innerHTML = `
+                <div class="meter-row">
+                    <div class="meter-label">
+                        <span>Messages</span>
+                        <span>${status.current.messages} / ~${plan.windowMessages}</span>
+                    </div>
+                    <div class="progress-bar-container">
+                        <div class="progress-bar ${level}" style="width: ${Math.min(used, 100)}%"></div>
+                    </div>
+                    <div class="meter-meta">
+                        <span>Started ${time(status.current.start)} · ~${status.remaining} left</span>
+                        <span>Resets ${time(status.current.end)} (in ${window.RateLimitMonitor.formatCountdown(status.resetsIn)})</span>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Logs are a snapshot; messages since the last import are missing
+        document.getElementById('sessionWindowNote').textContent = 
+            `Last 7 days: ${status.week.messages} messages in ${status.week.windows} windows · ` +
+            `logs imported ${window.ApiService.formatDate(summary.importedAt).toLowerCase()}`;
+    }
+
+    /**
+     * One stat card per model in the breakdown
+     */
+    renderModelCards(models, grid = document.getElementById('modelStatsGrid')) {        
+        grid.innerHTML = '';
+        models.forEach(model => {
+            const style = this.modelCardStyles[model.family] || this.modelCardStyles.default;
+            const card = document.createElement('div');
+            card.className = 'stat-card';
+            card.dataset.color = style.color;
+            card.innerHTML = `
+                <div class="stat-icon">
+                    <span class="material-icons-round">${style.icon}</span>
+                </div>
+                <div class="stat-content">
+                    <h3></h3>
+                    <p class="stat-value">$${model.cost.toFixed(2)} <span class="delta-badge" hidden></span></p>
+                    <p class="stat-detail">
+                        ${window.ApiService.formatNumber(model.tokens)} tokens · ${(model.share * 100).toFixed(1)}%
+                    </p>
+                </div>
+            `;
+            // Names can come from an imported catalog
+            card.querySelector('h3').textContent = model.name;
+            card.title = model.models.join(', ');
+            card.dataset.model = model.id;
+            grid.appendChild(card);
+        });
+
+        if (models.length === 0) {
+            grid.innerHTML = '<p class="settings-hint">No model usage in this period</p>';
+        }
+    }
+
+    /**
+     * Describe where cost figures come from, labelling fallback estimates
+     */
+    describeCostBasis(costBasis, costEstimates) {
+        if (!costBasis) return '—';
+        
+        if (costBasis.estimated > 0) {
+            // Summaries saved before estimates were split by assumption lack them
+            const assumptions = [];
+            if (costEstimates?.split > 0) assumptions.push('30% input / 70% output assumed');
+            if (costEstimates?.mix > 0) assumptions.push('unknown models at a Sonnet/Opus/Haiku mix');
+            const detail = assumptions.length > 0 ? ` (${assumptions.join('; ')})` : '';
+            return `Includes $${costBasis.estimated.toFixed(2)} estimated${detail}`;
+        }
+        if (costBasis.reported > 0 && costBasis.calculated > 0) {
+            return 'Reported and calculated from token splits';
+        }
+        return costBasis.reported > 0 ? 'Reported by source' : 'Calculated from token splits';
+    }
+
+    /**
+     * Pick a Claude Code projects directory (or transcript files) to import
+     */
+    async importLocalLogs() {
+        let files;
+        try {
+            files = await window.LocalLogImporter.pickFiles();
+        } catch (error) {
+            // User dismissed the picker
+            if (error.name === 'AbortError') return;
+            console.error('Directory picker error:', error);
+            files = null;
+        }
+        
+        if (!files) {
+            document.getElementById('logFileInput').click();
+            return;
+        }
+        
+        await this.processLocalLogFiles(files);
+    }
+
+    /**
+     * Parse picked transcript files and refresh the dashboard
+     */
+    async processLocalLogFiles(files) {
+        if (files.length === 0) return;
+        
+        try {
+            const result = await window.ApiService.parseLocalLogs(files);
+            
+            if (result.files === 0) {
+                this.showToast('No Claude Code transcripts (.jsonl) found', 'warning');
+                return;
+            }
+            
+            // Importing logs implies wanting to see them
+            const prefs = window.StorageManager.getPreferences();
+            if (!(prefs.dataSources || []).includes('local-logs')) {
+                prefs.dataSources = [...(prefs.dataSources || []), 'local-logs'];
+                window.StorageManager.savePreferences(prefs);
+                window.ApiService.setDataSources(prefs.dataSources);
+            }
+            
+            this.showToast(
+                `Imported ${window.ApiService.formatNumber(result.totalTokens)} tokens from ${result.sessions} sessions`,
+                'success'
+            );
+            await this.loadUsageData();
+        } catch (error) {
+            console.error('Log import error:', error);
+            this.showToast('Failed to import Claude Code logs', 'error');
+        }
+    }
+
+    /**
+     * Update usage chart
+     */
+    updateChart() {
+        if (!this.usageData || !this.usageData.dailyUsage) return;
+        
+        const ctx = document.getElementById('usageChart').getContext('2d');
+        const dailyUsage = this.usageData.dailyUsage;
+        const projection = this.getChartProjection();
+        const padding = (values) => values.map(() => null);
+        const spikes = new Map(this.anomalies.days.map(anomaly => [anomaly.date, anomaly]));
+        const isSpike = dailyUsage.map(d => spikes.has(d.date));
+        document.getElementById('forecastLegend').hidden = projection.length === 0;
+        document.getElementById('anomalyLegend').hidden = !isSpike.includes(true);
+        
+        // Destroy existing chart if present
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        
+        // Forecast line and its confidence band continue from the last actual day
+        const forecastDatasets = projection.length === 0 ? [] : [{
+            label: 'Forecast',
+            data: [...padding(dailyUsage.slice(1)), dailyUsage[dailyUsage.length - 1].tokens,
+                   ...projection.map(d => d.expected)],
+            borderColor: '#3498DB',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            tension: 0.4,
+            fill: false,
+            pointRadius: 0
+        }, {
+            label: 'Forecast high',
+            data: [...padding(dailyUsage), ...projection.map(d => d.high)],
+            borderWidth: 0,
+            tension: 0.4,
+            fill: false,
+            pointRadius: 0
+        }, {
+            label: 'Forecast low',
+            data: [...padding(dailyUsage), ...projection.map(d => d.low)],
+            borderWidth: 0,
+            backgroundColor: 'rgba(52, 152, 219, 0.15)',
+            tension: 0.4,
+            // Shade the band between this line and the one above
+            fill: '-1',
+            pointRadius: 0
+        }];
+        
+        // Create new chart
+        this.chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [...dailyUsage, ...projection].map(d => {
+                    const date = new Date(d.date);
+                    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+                }),
+                datasets: [{
+                    label: 'Tokens',
+                    data: [...dailyUsage.map(d => d.tokens), ...padding(projection)],
+                    borderColor: '#3498DB',
+                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.4,
+                    fill: true,
+                    // Points would crowd out the line on long ranges; spikes always show
+                    pointRadius: isSpike.map(spike => (spike ? 6 : (dailyUsage.length > 31 ? 0 : 4))),
+                    pointBackgroundColor: isSpike.map(spike => (spike ? '#E74C3C' : '#3498DB')),
+                    pointBorderColor: '#fff',
+                    pointBorderWidth: 2
+                }, ...forecastDatasets]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                // A day's point opens its detail
+                onClick: (event, elements) => {
+                    const point = elements.find(element => element.datasetIndex === 0);
+                    if (point) this.showDay(dailyUsage[point.index].date);
+                },
+                onHover: (event, elements) => {
+                    event.native.target.style.cursor = 
+                        elements.some(element => element.datasetIndex === 0) ? 'pointer' : 'default';
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: (context) => {
+                                return `${context.dataset.label}: ${window.ApiService.formatNumber(context.parsed.y)}`;
+                            },
+                            afterLabel: (context) => {
+                                const spike = context.datasetIndex === 0 && dailyUsage[context.dataIndex]
+                                    ? spikes.get(dailyUsage[context.dataIndex].date)
+                                    : null;
+                                return spike ? `Spike: ${spike.ratio.toFixed(1)}× the usual day` : '';
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatAxisTokens(value)
+                        }
+                    },
+                    x: {
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
+        });
+
+        this.updateModelMixChart();
+    }
+
+    /**
+     * One day's totals, models and hours, for the current view
+     */
+    async showDay(date) {
+        this.dayDate = date;
+        this.switchScreen('day');
+        window.Router.go({ name: 'day', date });
+        
+        document.getElementById('dayTitle').textContent = window.DateRanges.formatRange({ startDate: date, endDate: date });
+        document.getElementById('nextDayBtn').disabled = date >= window.DateRanges.today();
+        
+        const content = document.querySelector('#dayScreen .dashboard-content');
+        content.style.opacity = '0.5';
+        try {
+            const data = await this.fetchDashboardData({ startDate: date, endDate: date });
+            // A later navigation may have finished first
+            if (this.dayDate === date) this.renderDay(date, data);
+        } catch (error) {
+            console.error('Day detail error:', error);
+            this.showToast('Failed to load usage for this day', 'error');
+        } finally {
+            content.style.opacity = '1';
+        }
+    }
+
+    renderDay(date, data) {
+        const day = data.dailyUsage.find(entry => entry.date === date);
+        
+        document.getElementById('dayTokens').textContent = window.ApiService.formatNumber(data.totalTokens);
+        document.getElementById('dayCost').textContent = `$${data.totalCost.toFixed(2)}`;
+        document.getElementById('dayApiCalls').textContent = data.apiCalls === null
+            ? '—'
+            : window.ApiService.formatNumber(data.apiCalls);
+        this.renderModelCards(data.models || [], document.getElementById('dayModelGrid'));
+        
+        // Spikes are known for the days the dashboard checked
+        const spike = (this.anomalies ? this.anomalies.days : []).find(anomaly => anomaly.date === date);
+        const note = document.getElementById('dayAnomaly');
+        note.hidden = !spike;
+        note.textContent = spike ? this.describeAnomaly(spike, data.models) : '';
+        
+        const hourly = day && day.hourlyTokens;
+        document.getElementById('dayHourlyChart').parentElement.hidden = !hourly;
+        document.getElementById('dayHourlyNote').textContent = hourly
+            ? 'Hours are in UTC.'
+            : 'The enabled sources only report whole days for this date.';
+        
+        if (this.dayChart) {
+            this.dayChart.destroy();
+            this.dayChart = null;
+        }
+        if (!hourly) return;
+        
+        const ctx = document.getElementById('dayHourlyChart').getContext('2d');
+        this.dayChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: hourly.map((tokens, hour) => `${String(hour).padStart(2, '0')}:00`),
+                datasets: [{
+                    label: 'Tokens',
+                    data: hourly,
+                    backgroundColor: 'rgba(52, 152, 219, 0.6)',
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: (context) => `Tokens: ${window.ApiService.formatNumber(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatAxisTokens(value)
+                        }
+                    },
+                    x: {
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    toggleExportMenu(open = document.getElementById('exportOptions').hidden) {
+        document.getElementById('exportOptions').hidden = !open;
+        document.getElementById('exportBtn').setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Export the selected range as 'csv' or 'json', or open the monthly
+     * statement for the month the range ends in
+     */
+    exportUsage(format) {
+        const data = this.usageData;
+        if (format === 'statement') {
+            const endDate = (data && data.range ? data.range : this.getSelectedRange()).endDate;
+            this.showStatement(endDate.slice(0, 7));
+            return;
+        }
+        
+        // Summaries kept for offline use do not carry records
+        if (!data || !data.records) {
+            this.showToast('Refresh the dashboard before exporting', 'warning');
+            return;
+        }
+        
+        const exporter = window.UsageExport;
+        const rows = exporter.getDailyRows(data.records);
+        if (format === 'csv') {
+            exporter.download(exporter.getFilename(data.range, 'csv'), exporter.toCsv(rows), 'text/csv');
+        } else {
+            exporter.download(exporter.getFilename(data.range, 'json'),
+                exporter.toJson(data, rows, { view: this.getViewName() }), 'application/json');
+        }
+        this.showToast(`Exported ${rows.length} rows`, 'success');
+    }
+
+    /**
+     * 'All profiles' or the active profile's name
+     */
+    getViewName() {
+        if (this.isAllProfilesView()) return 'All profiles';
+        
+        const activeId = window.StorageManager.getActiveProfileId();
+        const profile = window.StorageManager.listProfiles().find(entry => entry.id === activeId);
+        return profile ? profile.name : 'Default';
+    }
+
+    /**
+     * A calendar month's statement for the current view, laid out for
+     * printing or saving as a PDF
+     */
+    async showStatement(month) {
+        // A link may name a month that has not started; show this one instead
+        const currentMonth = window.DateRanges.today().slice(0, 7);
+        const future = month > currentMonth;
+        if (future) month = currentMonth;
+        
+        this.statementMonth = month;
+        this.switchScreen('statement');
+        window.Router.go({ name: 'statement', month }, { replace: future });
+        
+        const monthName = new Date(`${month}-01T00:00:00Z`)
+            .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        document.getElementById('statementTitle').textContent = `Statement · ${monthName}`;
+        document.getElementById('nextMonthBtn').disabled = month >= currentMonth;
+        
+        const content = document.querySelector('#statementScreen .dashboard-content');
+        content.style.opacity = '0.5';
+        try {
+            const data = await this.fetchDashboardData(window.UsageExport.getMonthRange(month));
+            // A later navigation may have finished first
+            if (this.statementMonth === month) this.renderStatement(data);
+        } catch (error) {
+            console.error('Statement error:', error);
+            this.showToast('Failed to load usage for this month', 'error');
+        } finally {
+            content.style.opacity = '1';
+        }
+    }
+
+    renderStatement(data) {
+        const format = (value) => window.ApiService.formatNumber(value);
+        const rates = (value) => `$${value.toFixed(value < 1 ? 3 : 2)}`;
+        const catalog = window.PricingCatalog;
+        
+        document.getElementById('statementMeta').textContent = 
+            `${this.getViewName()} · ${window.PlanManager.getPlan().label} · generated ${new Date().toLocaleString()}`;
+        document.getElementById('statementPeriod').textContent = window.DateRanges.formatRange(data.range);
+        document.getElementById('statementTokens').textContent = format(data.totalTokens);
+        document.getElementById('statementApiCalls').textContent = data.apiCalls === null ? '—' : format(data.apiCalls);
+        document.getElementById('statementCost').textContent = `$${data.totalCost.toFixed(2)}`;
+        
+        // Model names can come from an imported catalog
+        const fillTable = (id, rows, empty) => {
+            const body = document.getElementById(id);
+            body.innerHTML = '';
+            rows.forEach(cells => {
+                const row = body.insertRow();
+                cells.forEach(cell => { row.insertCell().textContent = cell; });
+            });
+            if (rows.length === 0) {
+                const cell = body.insertRow().insertCell();
+                cell.colSpan = body.parentElement.tHead.rows[0].cells.length;
+                cell.textContent = empty;
+            }
+        };
+        
+        fillTable('statementModels', (data.models || []).map(model => [
+            model.name,
+            format(model.tokens),
+            `${(model.share * 100).toFixed(1)}%`,
+            `$${model.cost.toFixed(2)}`
+        ]), 'No usage this month');
+        
+        fillTable('statementPricing', window.UsageExport.getPricingAssumptions(data.records || []).map(entry => entry.rates
+            ? [entry.name, entry.rates.pricedAs, rates(entry.rates.input), rates(entry.rates.output),
+                rates(entry.rates.cacheWrite), rates(entry.rates.cacheRead)]
+            : [entry.name, 'Estimated (see below)', '—', '—', '—', '—']), 'No models used');
+        
+        const notes = [
+            'Rates are USD per million tokens, as in effect on each model\'s last day of use.',
+            catalog.importedAt
+                ? `Prices from a catalog imported ${new Date(catalog.importedAt).toLocaleDateString()} (version ${catalog.catalog.version}).`
+                : `Built-in prices (version ${catalog.catalog.version}).`,
+            `Cost basis: ${this.describeCostBasis(data.costBasis, data.costEstimates)}.`,
+            'Usage reported only as a total is priced as 30% input and 70% output. Unknown models are priced at a 60% Sonnet, 30% Opus and 10% Haiku mix.',
+            'Dates are UTC days.'
+        ];
+        const list = document.getElementById('statementNotes');
+        list.innerHTML = '';
+        notes.forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            list.appendChild(item);
+        });
+        
+        this.renderStatementChart(data);
+    }
+
+    /**
+     * Cost of every day of the statement, including days without usage
+     */
+    renderStatementChart(data) {
+        if (this.statementChart) {
+            this.statementChart.destroy();
+            this.statementChart = null;
+        }
+        
+        const costs = new Map(data.dailyUsage.map(day => [day.date, day.cost]));
+        const dates = [];
+        for (let date = data.range.startDate; date <= data.range.endDate; date = window.DateRanges.addDays(date, 1)) {
+            dates.push(date);
+        }
+        
+        const ctx = document.getElementById('statementChart').getContext('2d');
+        this.statementChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: dates.map(date => date.slice(8)),
+                datasets: [{
+                    label: 'Cost',
+                    data: dates.map(date => costs.get(date) || 0),
+                    backgroundColor: 'rgba(155, 89, 182, 0.6)',
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                // Drawn in full straight away, so printing never catches it mid-animation
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => dates[items[0].dataIndex],
+                            label: (context) => `Cost: $${context.parsed.y.toFixed(2)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: (value) => `$${value}`
+                        }
+                    },
+                    x: {
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Short token counts for chart axes (1.2M, 450K)
+     */
+    formatAxisTokens(value) {
+        if (value >= 1000000) {
+            return (value / 1000000).toFixed(1) + 'M';
+        } else if (value >= 1000) {
+            return (value / 1000).toFixed(0) + 'K';
+        }
+        return value;
+    }
+
+    /**
+     * Stacked daily tokens per model, using the breakdown's grouping
+     */
+    updateModelMixChart() {
+        if (!this.usageData || !this.usageData.models) return;
+
+        const ctx = document.getElementById('modelMixChart').getContext('2d');
+        const dailyUsage = this.usageData.dailyUsage;
+
+        if (this.modelMixChart) {
+            this.modelMixChart.destroy();
+        }
+
+        this.modelMixChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: dailyUsage.map(d => {
+                    const date = new Date(d.date);
+                    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+                }),
+                datasets: this.usageData.models.map((model, index) => ({
+                    label: model.name,
+                    data: dailyUsage.map(d => (d.models && d.models[model.id]) || 0),
+                    backgroundColor: this.modelChartColors[index % this.modelChartColors.length],
+                    borderRadius: 4
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            boxWidth: 10,
+                            font: { size: 12 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: (context) => {
+                                return `${context.dataset.label}: ${window.ApiService.formatNumber(context.parsed.y)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatAxisTokens(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Fetch usage reaching back far enough for the forecast and for the
+     * anomaly baselines of the shown range, then update both
+     */
+    async updateHistoryViews() {
+        const today = window.DateRanges.today();
+        const cycle = window.PlanManager.getCycle();
+        const forecastRange = window.Forecaster.getHistoryRange(cycle, today);
+        const shownStart = this.usageData.range ? this.usageData.range.startDate : today;
+        const baselineStart = window.DateRanges.addDays(shownStart, -window.AnomalyDetector.baselineDays);
+        
+        let history = null;
+        try {
+            history = await this.fetchDashboardData({
+                startDate: baselineStart < forecastRange.startDate ? baselineStart : forecastRange.startDate,
+                endDate: today
+            });
+        } catch (error) {
+            console.error('History fetch error:', error);
+        }
+        
+        this.updateForecast(history, cycle, today);
+        this.updateAnomalies(history, shownStart);
+    }
+
+    /**
+     * Project the current billing cycle's tokens and cost for the profile(s) shown
+     */
+    updateForecast(history, cycle, today) {
+        if (history) {
+            const series = (key) => history.dailyUsage.map(day => ({ date: day.date, value: day[key] }));
+            
+            this.forecast = {
+                cycle,
+                today,
+                tokens: window.Forecaster.forecast(series('tokens'), { ...cycle, today, limit: history.usageLimit }),
+                cost: window.Forecaster.forecast(series('cost'), { ...cycle, today, limit: history.costLimit })
+            };
+        } else {
+            this.forecast = null;
+        }
+        
+        this.renderForecast();
+    }
+
+    /**
+     * Flag spikes in the shown range and the last 24 hours, alerting once
+     * for each recent one
+     */
+    updateAnomalies(history, shownStart) {
+        if (!history) {
+            this.anomalies = { days: [], hours: [] };
+            return;
+        }
+        
+        this.anomalies = window.AnomalyDetector.detect(history.dailyUsage, {
+            sensitivity: window.StorageManager.getPreferences().anomalySensitivity,
+            from: shownStart
+        });
+        
+        // Older days stay highlighted on the chart but are not news
+        const recentFrom = window.DateRanges.addDays(window.DateRanges.today(), -1);
+        const recent = [
+            ...this.anomalies.days.filter(anomaly => anomaly.date >= recentFrom),
+            ...this.anomalies.hours
+        ];
+        
+        const viewId = this.getViewProfileId();
+        const alerted = window.StorageManager.getAnomalyAlerts(viewId);
+        const fresh = recent.filter(anomaly => !alerted.includes(anomaly.key));
+        if (fresh.length === 0) return;
+        
+        fresh.forEach(anomaly => {
+            const message = this.describeAnomaly(anomaly, history.models);
+            this.showToast(message, 'warning');
+            window.NotificationManager.notify({
+                // Snoozing mutes spikes driven by the same model
+                key: `anomaly:${anomaly.driver ? anomaly.driver.id : 'usage'}`,
+                title: 'Usage spike',
+                body: message
+            });
+        });
+        
+        // Keys only need to outlive the window they can recur in
+        window.StorageManager.saveAnomalyAlerts([...alerted, ...fresh.map(anomaly => anomaly.key)].slice(-100), viewId);
+    }
+
+    /**
+     * e.g. "Spike on Oct 18: 2.4M tokens, 3.1× the usual 780K, mostly Opus 4.1"
+     */
+    describeAnomaly(anomaly, models = []) {
+        const when = anomaly.type === 'hour'
+            ? `${this.formatDay(anomaly.date)} ${String(anomaly.hour).padStart(2, '0')}:00 UTC`
+            : this.formatDay(anomaly.date);
+        const usual = anomaly.type === 'hour' ? 'for that hour' : 'a day';
+        
+        let text = `Spike on ${when}: ${this.formatAxisTokens(anomaly.tokens)} tokens, ` +
+                   `${anomaly.ratio.toFixed(1)}× the usual ${this.formatAxisTokens(Math.round(anomaly.normal))} ${usual}`;
+        
+        if (anomaly.driver) {
+            const model = models.find(entry => entry.id === anomaly.driver.id);
+            text += `, mostly ${model ? model.name : anomaly.driver.id}`;
+        }
+        return text;
+    }
+
+    /**
+     * Projected totals for the cycle and when the usage limit runs out
+     */
+    renderForecast() {
+        document.getElementById('forecastCard').hidden = !this.forecast;
+        if (!this.forecast) return;
+        
+        const { cycle, today, tokens, cost } = this.forecast;
+        const formatTokens = (value) => window.ApiService.formatNumber(Math.round(value));
+        
+        document.getElementById('forecastTokens').textContent = 
+            `${formatTokens(tokens.projected)} (${formatTokens(tokens.low)} – ${formatTokens(tokens.high)})`;
+        document.getElementById('forecastCost').textContent = 
+            `$${cost.projected.toFixed(2)} ($${cost.low.toFixed(2)} – $${cost.high.toFixed(2)})`;
+        
+        const describeLimit = ({ limit, exhaustionDate }) => {
+            if (!limit) return 'None set';
+            if (!exhaustionDate) return 'Not reached at this pace';
+            return exhaustionDate <= today
+                ? `Reached ${this.formatDay(exhaustionDate)}`
+                : `Runs out ~${this.formatDay(exhaustionDate)}`;
+        };
+        document.getElementById('forecastTokenLimit').textContent = describeLimit(tokens);
+        document.getElementById('forecastCostLimit').textContent = describeLimit(cost);
+        document.getElementById('forecastNote').textContent = 
+            `Billing cycle ${window.DateRanges.formatRange(cycle)} · ranges are 90% confidence`;
+    }
+
+    /**
+     * Forecast days to draw after the actual ones; only when the chart
+     * ends today, so the projection joins on
+     */
+    getChartProjection() {
+        const dailyUsage = this.usageData.dailyUsage;
+        if (!this.forecast || dailyUsage.length === 0 ||
+            dailyUsage[dailyUsage.length - 1].date !== this.forecast.today) {
+            return [];
+        }
+        
+        return this.forecast.tokens.days.map(day => ({
+            date: day.date,
+            expected: Math.round(day.expected),
+            low: Math.round(day.low),
+            high: Math.round(day.high)
+        }));
+    }
+
+    /**
+     * Short UTC date label, e.g. "Oct 27"
+     */
+    formatDay(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`)
+            .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * Show headroom per rate-limit dimension from the latest headers
+     */
+    renderRateLimits() {
+        const monitor = window.RateLimitMonitor;
+        const list = document.getElementById('rateLimitList');
+        const limits = monitor.state ? monitor.state.limits : {};
+        
+        const rows = Object.entries(monitor.dimensions)
+            .filter(([id]) => limits[id])
+            .map(([id, { label }]) => {
+                const limit = limits[id];
+                const headroom = monitor.getHeadroom(limit);
+                const percentage = headroom === null ? 0 : headroom * 100;
+                const counts = limit.limit === null
+                    ? window.ApiService.formatNumber(limit.remaining)
+                    : `${window.ApiService.formatNumber(limit.remaining ?? 0)} / ${window.ApiService.formatNumber(limit.limit)}`;
+                
+                return `
+                    <div class="meter-row">
+                        <div class="meter-label">
+                            <span>${label}</span>
+                            <span>${counts}</span>
+                        </div>
+                        <div class="progress-bar-container">
+                            <div class="progress-bar ${percentage < 20 ? 'low' : ''}" style="width: ${percentage}%"></div>
+                        </div>
+                        <div class="meter-meta">
+                            <span>${headroom === null ? '—' : `${percentage.toFixed(0)}% headroom`}</span>
+                            <span data-reset="${limit.reset || ''}"></span>
+                        </div>
+                    </div>
+                `;
+            });
+        
+        list.innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<p class="settings-hint">No rate-limit headers received yet</p>';
+        
+        this.updateRateLimitCountdowns();
+        if (!this.rateLimitTimer) {
+            this.rateLimitTimer = setInterval(() => this.updateRateLimitCountdowns(), 1000);
+        }
+    }
+
+    /**
+     * Tick the reset countdowns; stops once every reset has passed
+     */
+    updateRateLimitCountdowns() {
+        const monitor = window.RateLimitMonitor;
+        const state = monitor.state;
+        let pending = false;
+        
+        document.querySelectorAll('#rateLimitList [data-reset]').forEach(element => {
+            const remaining = monitor.getTimeUntil(element.dataset.reset);
+            if (!element.dataset.reset) {
+                element.textContent = '';
+            } else if (remaining > 0) {
+                element.textContent = `resets in ${monitor.formatCountdown(remaining)}`;
+                pending = true;
+            } else {
+                element.textContent = 'reset';
+            }
+        });
+        
+        const status = document.getElementById('rateLimitStatus');
+        const retryIn = state && state.status === 429 ? monitor.getTimeUntil(state.retryAt) : 0;
+        status.textContent = retryIn > 0 ? `Rate limited · retry in ${monitor.formatCountdown(retryIn)}` : '';
+        if (retryIn > 0) pending = true;
+        
+        if (!pending && this.rateLimitTimer) {
+            clearInterval(this.rateLimitTimer);
+            this.rateLimitTimer = null;
+        }
+    }
+
+    /**
+     * Credentials of every profile, for views that span profiles
+     */
+    async getAllProfileCredentials() {
+        const credentials = await Promise.all(window.StorageManager.listProfiles()
+            .map(profile => this.getCachedProfileCredentials(profile.id)));
+        
+        return credentials
+            .filter(Boolean)
+            .map(({ profileId, profileName, apiKey }) => ({ id: profileId, name: profileName, apiKey }));
+    }
+
+    /**
+     * Spend against each budget for its current period, raising alerts for
+     * newly crossed thresholds. Budgets span all profiles, whichever is shown.
+     */
+    async updateBudgets() {
+        const budgets = window.BudgetManager;
+        if (budgets.list().length === 0) {
+            this.renderBudgets([]);
+            return;
+        }
+        
+        const prefs = window.StorageManager.getPreferences();
+        const options = {
+            cycle: window.PlanManager.getCycle(),
+            weekStartDay: prefs.weekStartDay,
+            today: window.DateRanges.today()
+        };
+        
+        const pricing = {
+            getCost: (record) => window.ApiService.getRecordCost(record).cost,
+            getFamily: (modelId) => window.ApiService.getModelFamily(modelId)
+        };
+        
+        try {
+            // Fetch enough history to forecast each budget's period too
+            const { records } = await window.ApiService.fetchProfileRecords(
+                window.Forecaster.getHistoryRange({ startDate: budgets.getEarliestStart(options) }, options.today),
+                await this.getAllProfileCredentials()
+            );
+            
+            const results = budgets.evaluate(records, { ...options, ...pricing });
+            results.forEach(result => {
+                result.forecast = window.Forecaster.forecast(budgets.getDailySpend(result.budget, records, pricing), {
+                    ...result.period,
+                    today: options.today,
+                    limit: result.budget.amount
+                });
+            });
+            this.renderBudgets(results);
+            
+            budgets.checkAlerts(results).forEach(alert => {
+                const notification = budgets.toNotification(alert);
+                this.showToast(notification.body, alert.threshold >= 100 ? 'error' : 'warning');
+                window.NotificationManager.notify(notification);
+            });
+        } catch (error) {
+            console.error('Budget update error:', error);
+        }
+    }
+
+    /**
+     * Progress bar per budget, with the forecast run-out date when the
+     * current pace exhausts it before the period ends
+     */
+    renderBudgets(results) {
+        const list = document.getElementById('budgetList');
+        
+        if (results.length === 0) {
+            list.innerHTML = '<p class="settings-hint">No budgets set. Add one under Settings → Budgets.</p>';
+            return;
+        }
+        
+        list.innerHTML = '';
+        results.forEach(({ budget, period, spent, percentage, forecast }) => {
+            const resetsOn = this.formatDay(window.DateRanges.addDays(period.endDate, 1));
+            const level = percentage >= 100 ? 'over' : (percentage >= 80 ? 'near' : '');
+            const runsOut = percentage < 100 && forecast && forecast.exhaustionDate
+                ? ` · runs out ~${this.formatDay(forecast.exhaustionDate)}`
+                : '';
+            
+            const row = document.createElement('div');
+            row.className = 'meter-row';
+            row.innerHTML = `
+                <div class="meter-label">
+                    <span></span>
+                    <span>$${spent.toFixed(2)} / $${budget.amount.toFixed(2)}</span>
+                </div>
+                <div class="progress-bar-container">
+                    <div class="progress-bar ${level}" style="width: ${Math.min(percentage, 100)}%"></div>
+                </div>
+                <div class="meter-meta">
+                    <span>${percentage.toFixed(0)}% used${runsOut}</span>
+                    <span>resets ${resetsOn}</span>
+                </div>
+            `;
+            // Profile names are user input
+            row.querySelector('.meter-label span').textContent = window.BudgetManager.describe(budget);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * List budgets in settings and fill the scope choices
+     */
+    renderBudgetSettings() {
+        const scope = document.getElementById('budgetScope');
+        scope.innerHTML = '';
+        scope.add(new Option('Overall', 'overall'));
+        window.BudgetManager.families.forEach(family => {
+            scope.add(new Option(`${family.charAt(0).toUpperCase()}${family.slice(1)} models`, `family:${family}`));
+        });
+        window.StorageManager.listProfiles()
+            .filter(profile => profile.remembered)
+            .forEach(profile => scope.add(new Option(`Profile: ${profile.name}`, `profile:${profile.id}`)));
+        
+        const list = document.getElementById('budgetSettingsList');
+        list.innerHTML = '';
+        window.BudgetManager.list().forEach(budget => {
+            const row = document.createElement('div');
+            row.className = 'profile-row';
+            row.innerHTML = `
+                <div class="profile-row-info">
+                    <div class="profile-row-name"></div>
+                    <div class="profile-row-key">
+                        $${budget.amount.toFixed(2)} · alerts at ${budget.thresholds.join('/')}%
+                    </div>
+                </div>
+                <button type="button" class="icon-btn" title="Remove budget">
+                    <span class="material-icons-round">delete_outline</span>
+                </button>
+            `;
+            row.querySelector('.profile-row-name').textContent = window.BudgetManager.describe(budget);
+            row.querySelector('button').addEventListener('click', () => {
+                window.BudgetManager.remove(budget.id);
+                this.renderBudgetSettings();
+                this.settingsChanged = true;
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a budget from the settings form
+     */
+    addBudget() {
+        const [scope, target] = document.getElementById('budgetScope').value.split(':');
+        
+        try {
+            window.BudgetManager.add({
+                period: document.getElementById('budgetPeriod').value,
+                scope,
+                target,
+                amount: parseFloat(document.getElementById('budgetAmount').value),
+                thresholds: document.getElementById('budgetThresholds').value
+                    .split(',')
+                    .map(value => parseFloat(value))
+            });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        
+        document.getElementById('budgetAmount').value = '';
+        this.renderBudgetSettings();
+        this.settingsChanged = true;
+    }
+
+    /**
+     * Alert once per billing cycle as the plan's token or spend limit
+     * passes each of the limit thresholds
+     */
+    checkLimitAlerts() {
+        if (!this.forecast) return;
+        
+        const { cycle, tokens, cost } = this.forecast;
+        window.NotificationManager.checkLimits({ cycle, tokens, cost }, this.getViewProfileId()).forEach(alert => {
+            this.showToast(alert.body, alert.threshold >= 100 ? 'error' : 'warning');
+            window.NotificationManager.notify(alert);
+        });
+    }
+
+    /**
+     * Meters for the plan's token and spend limits over the billing cycle
+     */
+    updateProgressBar() {
+        const plan = window.PlanManager.getPlan();
+        const list = document.getElementById('limitList');
+        const progressPercentage = document.getElementById('usagePercentage');
+        progressPercentage.textContent = '—';
+        
+        // Cycle-to-date totals come with the forecast
+        if (!this.forecast) {
+            document.getElementById('planSummary').textContent = plan.label;
+            list.innerHTML = '<p class="settings-hint">Billing cycle usage is unavailable</p>';
+            return;
+        }
+        
+        const { cycle, tokens, cost } = this.forecast;
+        document.getElementById('planSummary').textContent = 
+            `${plan.label} · cycle ${window.DateRanges.formatRange(cycle)}`;
+        
+        const meters = [
+            { label: 'Tokens', ...tokens, format: (value) => window.ApiService.formatNumber(Math.round(value)) },
+            { label: 'Spend', ...cost, format: (value) => `$${value.toFixed(2)}` }
+        ].filter(meter => meter.limit);
+        
+        if (meters.length === 0) {
+            list.innerHTML = '<p class="settings-hint">No limits set. Add them under Settings → Plan.</p>';
+            return;
+        }
+        
+        const percentages = meters.map(meter => (meter.actual / meter.limit) * 100);
+        progressPercentage.textContent = `${Math.max(...percentages).toFixed(1)}%`;
+        
+        list.innerHTML = '';
+        meters.forEach((meter, index) => {
+            const percentage = percentages[index];
+            // Change color based on usage
+            const level = percentage > 80 ? 'over' : (percentage > 60 ? 'near' : '');
+            
+            const row = document.createElement('div');
+            row.className = 'meter-row';
+            row.innerHTML = `
+                <div class="meter-label">
+                    <span>${meter.label}</span>
+                    <span>${meter.format(meter.actual)} / ${meter.format(meter.limit)}</span>
+                </div>
+                <div class="progress-bar-container">
+                    <div class="progress-bar ${level}" style="width: ${Math.min(percentage, 100)}%"></div>
+                </div>
+            `;
+            list.appendChild(row);
+        });
+    }
+
     /**
      * Refresh dashboard data
      */
@@ -436,8 +2858,9 @@ class ClaudeUsageMonitor {
      */
     async handleLogout() {
         if (confirm('Are you sure you want to logout?')) {
-            // Clear session
+            // Clear session and stop syncing in the background
             window.StorageManager.clearSession();
+            window.BackgroundSync.unregister().catch(error => console.error('Background sync removal error:', error));
             
             // Clear refresh interval
             if (this.refreshInterval) {
@@ -456,7 +2879,9 @@ class ClaudeUsageMonitor {
      * Show login screen
      */
     showLoginScreen() {
+        document.getElementById('cancelAddProfileBtn').hidden = true;
         this.switchScreen('login');
+        window.Router.go({ name: 'login' }, { replace: true });
         this.checkForSavedCredentials();
     }
 
@@ -521,12 +2946,14 @@ class ClaudeUsageMonitor {
         toast.innerHTML = `
             <span class="material-icons-round toast-icon">${icons[type]}</span>
             <div class="toast-content">
-                <div class="toast-message">${message}</div>
+                <div class="toast-message"></div>
             </div>
             <button class="toast-close">
                 <span class="material-icons-round">close</span>
             </button>
         `;
+        // Messages can quote model ids, profile names and file contents
+        toast.querySelector('.toast-message').textContent = message;
         
         toastContainer.appendChild(toast);
         
@@ -687,8 +3114,8 @@ class ClaudeUsageMonitor {
             // Add updating classes for fade out effect
             this.addUpdatingClasses();
             
-            // Fetch new data
-            const newData = await window.ApiService.fetchUsageData();
+            // Fetch new data; history is saved by full refreshes, not every tick
+            const newData = await this.fetchDashboardData();
             
             // Wait for fade out animation
             setTimeout(() => {
@@ -858,8 +3285,9 @@ class ClaudeUsageMonitor {
                 this.realTimeInterval = null;
             }
             
-            // Clear session
+            // Clear session and stop syncing in the background
             window.StorageManager.clearSession();
+            window.BackgroundSync.unregister().catch(error => console.error('Background sync removal error:', error));
             
             // Navigate to login
             this.showLoginScreen();
@@ -0,0 +1,229 @@
+/**
+ * Background Sync
+ * Keeps checking usage while the app is closed. The page registers
+ * periodic background sync and shares the settings the service worker needs
+ * through SharedStore. On each sync the worker loads them into an in-memory
+ * localStorage, fetches the billing cycle's usage from the enabled data
+ * sources with the same modules the page uses, adds the records to
+ * HistoryStore, raises limit and budget notifications and stores the result
+ * for the page to pick up.
+ *
+ * Result shape (SharedStore 'sync-result'):
+ *   { syncedAt, viewId, cycle, tokens: { actual, limit }, cost: { actual, limit },
+ *     budgetAlerts, limitAlerts }
+ * The alert maps are the fired-threshold state of BudgetManager and
+ * NotificationManager, so the page does not repeat alerts.
+ */
+
+/**
+ * localStorage stand-in for the service worker, seeded from a snapshot
+ */
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+class BackgroundSync {
+    constructor() {
+        this.tag = 'update-usage-data';
+        // Browsers treat this as a lower bound and sync less often
+        this.minInterval = 60 * 60 * 1000;
+
+        // localStorage entries the worker reads (storage-manager.js key names).
+        // The worker needs DEVICE_ID to decrypt the profile keys, so the
+        // snapshot holds the key next to the ciphertext, as localStorage
+        // already does: it keeps keys out of plain sight, not from code
+        // running on this origin. unregister() deletes the snapshot.
+        this.sharedKeys = [
+            'DEVICE_ID', 'PROFILES', 'USER_PREFS', 'PRICING_CATALOG',
+            'BUDGETS', 'NOTIFICATIONS', 'LOCAL_LOGS', 'CSV_IMPORT'
+        ];
+    }
+
+    /**
+     * Register the periodic sync. Browsers only allow it for installed
+     * apps; resolves to whether it is registered.
+     */
+    async register() {
+        if (!('serviceWorker' in navigator)) return false;
+
+        const registration = await navigator.serviceWorker.ready;
+        if (!('periodicSync' in registration)) return false;
+
+        try {
+            const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (state !== 'granted') return false;
+
+            await registration.periodicSync.register(this.tag, { minInterval: this.minInterval });
+            return true;
+        } catch (error) {
+            console.error('Periodic sync registration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Stop syncing and drop everything shared with the worker
+     */
+    async unregister() {
+        if ('serviceWorker' in navigator) {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration && 'periodicSync' in registration) {
+                await registration.periodicSync.unregister(this.tag);
+            }
+        }
+
+        await window.SharedStore.delete('sync-snapshot');
+        await window.SharedStore.delete('sync-result');
+    }
+
+    /**
+     * Copy the settings, encrypted keys and imports the worker needs
+     */
+    async share() {
+        const keys = window.StorageManager.storageKeys;
+        const storage = {};
+        this.sharedKeys.forEach(name => {
+            const value = localStorage.getItem(keys[name]);
+            if (value !== null) storage[keys[name]] = value;
+        });
+
+        await window.SharedStore.set('sync-snapshot', { sharedAt: Date.now(), storage });
+    }
+
+    /**
+     * Take in the last background sync: merge its fired alerts into the
+     * page's. Resolves to the result, or null when there is none new.
+     */
+    async applyResult() {
+        const result = await window.SharedStore.get('sync-result');
+        if (!result) return null;
+
+        this.mergeAlerts(result);
+        window.BudgetManager.save();
+        window.NotificationManager.save();
+
+        await window.SharedStore.delete('sync-result');
+        return result;
+    }
+
+    /**
+     * Merge a result's fired alerts into BudgetManager and NotificationManager
+     */
+    mergeAlerts(result) {
+        const budgetIds = window.BudgetManager.list().map(budget => budget.id);
+        const budgetAlerts = Object.entries(result.budgetAlerts || {})
+            .filter(([budgetId]) => budgetIds.includes(budgetId));
+
+        this.mergeFired(window.BudgetManager.state.alerts, Object.fromEntries(budgetAlerts));
+        this.mergeFired(window.NotificationManager.state.thresholds, result.limitAlerts);
+    }
+
+    /**
+     * Merge { <key>: { periodStart, fired } } alert state into `local`
+     */
+    mergeFired(local, synced) {
+        Object.entries(synced || {}).forEach(([key, state]) => {
+            const current = local[key];
+            if (!current || current.periodStart < state.periodStart) {
+                local[key] = state;
+            } else if (current.periodStart === state.periodStart) {
+                current.fired = [...new Set([...current.fired, ...state.fired])];
+            }
+        });
+    }
+
+    /**
+     * Sync once, inside the service worker. Resolves to the result, or
+     * null when the page has not shared any remembered profiles.
+     */
+    async run() {
+        const snapshot = await window.SharedStore.get('sync-snapshot');
+        if (!snapshot) return null;
+
+        window.localStorage = new MemoryStorage(snapshot.storage);
+        window.sessionStorage = new MemoryStorage();
+
+        const storage = window.StorageManager;
+        await storage.init();
+        window.PricingCatalog.load(storage.getPricingCatalog());
+        window.BudgetManager.load(storage.getBudgets());
+        window.NotificationManager.load(storage.getNotificationState());
+        window.DataSources.registerDefaults({ api: window.ApiService, storage });
+
+        // Alerts raised by earlier syncs that the page has not taken in yet
+        const previous = await window.SharedStore.get('sync-result');
+        if (previous) this.mergeAlerts(previous);
+
+        const prefs = storage.getPreferences();
+        window.ApiService.setDataSources(prefs.dataSources || []);
+        window.ApiService.setBaseUrl(prefs.apiBaseUrl);
+
+        // Session-only sign-ins are never shared
+        const profiles = (await Promise.all(storage.listProfiles()
+            .map(profile => storage.getProfileCredentials(profile.id))))
+            .filter(Boolean)
+            .map(({ profileId, profileName, apiKey }) => ({ id: profileId, name: profileName, apiKey }));
+        if (profiles.length === 0) return null;
+
+        const viewId = prefs.showAllProfiles && profiles.length > 1 ? 'all' : storage.getActiveProfileId();
+        const today = window.DateRanges.today();
+        const cycle = window.PlanManager.getCycle();
+        const options = { cycle, weekStartDay: prefs.weekStartDay, today };
+        const budgetStart = window.BudgetManager.getEarliestStart(options);
+        const startDate = budgetStart && budgetStart < cycle.startDate ? budgetStart : cycle.startDate;
+
+        const { records } = await window.ApiService.fetchProfileRecords({ startDate, endDate: today }, profiles);
+        await window.HistoryStore.saveRecords(records)
+            .catch(error => console.error('Failed to save usage history:', error));
+        const pricing = {
+            getCost: (record) => window.ApiService.getRecordCost(record).cost,
+            getFamily: (modelId) => window.ApiService.getModelFamily(modelId)
+        };
+
+        // The dashboard's view of the cycle: one profile plus device-wide usage, or all
+        const cycleRecords = records.filter(record => record.date >= cycle.startDate &&
+            (viewId === 'all' || record.profileId === viewId || record.profileId === 'device'));
+        const { tokenLimit, costLimit } = window.PlanManager.getLimits(viewId);
+        const usage = {
+            cycle,
+            tokens: { actual: cycleRecords.reduce((sum, record) => sum + record.tokens, 0), limit: tokenLimit },
+            cost: { actual: cycleRecords.reduce((sum, record) => sum + pricing.getCost(record), 0), limit: costLimit }
+        };
+
+        const budgets = window.BudgetManager;
+        const alerts = [
+            ...window.NotificationManager.checkLimits(usage, viewId),
+            ...budgets.checkAlerts(budgets.evaluate(records, { ...options, ...pricing }))
+                .map(alert => budgets.toNotification(alert))
+        ];
+
+        const result = {
+            syncedAt: Date.now(),
+            viewId,
+            ...usage,
+            budgetAlerts: budgets.state.alerts,
+            limitAlerts: window.NotificationManager.state.thresholds
+        };
+        await window.SharedStore.set('sync-result', result);
+
+        await Promise.all(alerts.map(alert => window.NotificationManager.notify(alert)));
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.BackgroundSync = new BackgroundSync();
@@ -0,0 +1,236 @@
+/**
+ * Backup Manager
+ * Saves profiles, preferences, budgets, imports and usage history to one
+ * file encrypted with a passphrase, and restores it on this or another
+ * device. Profile keys are encrypted with the device ID at rest, so the
+ * backup carries them decrypted inside its own encryption and restoring
+ * re-encrypts them for the device.
+ *
+ * File shape:
+ *   { format: 'claude-usage-monitor-backup', version, createdAt,
+ *     data: CryptoUtils.encrypt(payload, passphrase) }
+ * Payload shape:
+ *   { version, createdAt, profiles: { activeProfileId, profiles: [{ id, name,
+ *     email, apiKey, keyHint, usageLimit, createdAt }] }, storage: { <storage
+ *     key name>: value }, anomalyAlerts: { <view id>: keys },
+ *     history: { records, snapshots } }
+ */
+
+class BackupManager {
+    constructor() {
+        this.format = 'claude-usage-monitor-backup';
+        this.version = 1;
+        this.minPassphraseLength = 8;
+
+        // Device-wide entries backed up (storage-manager.js key names)
+        this.storageNames = ['USER_PREFS', 'BUDGETS', 'PRICING_CATALOG', 'NOTIFICATIONS', 'LOCAL_LOGS', 'CSV_IMPORT'];
+    }
+
+    /**
+     * Everything to back up, with profile keys decrypted
+     */
+    async collect() {
+        const storage = window.StorageManager;
+        const index = storage.getProfileIndex();
+
+        const profiles = await Promise.all(index.profiles.map(async (profile) => {
+            const { apiKey } = await window.CryptoUtils.decrypt(profile.apiKey, storage.deviceId);
+            return { ...profile, apiKey };
+        }));
+
+        const entries = {};
+        this.storageNames.forEach(name => {
+            const value = this.readEntry(name);
+            if (value !== null) entries[name] = value;
+        });
+
+        const anomalyAlerts = {};
+        ['all', ...index.profiles.map(profile => profile.id)].forEach(viewId => {
+            const keys = storage.getAnomalyAlerts(viewId);
+            if (keys.length > 0) anomalyAlerts[viewId] = keys;
+        });
+
+        return {
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            profiles: { activeProfileId: index.activeProfileId, profiles },
+            storage: entries,
+            anomalyAlerts,
+            history: await window.HistoryStore.exportAll()
+        };
+    }
+
+    /**
+     * The backup file's text
+     */
+    async create(passphrase) {
+        if (!passphrase || passphrase.length < this.minPassphraseLength) {
+            throw new Error(`Use a passphrase of at least ${this.minPassphraseLength} characters`);
+        }
+
+        const payload = await this.collect();
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            createdAt: payload.createdAt,
+            data: await window.CryptoUtils.encrypt(payload, passphrase)
+        });
+    }
+
+    /**
+     * Open and check a backup file; throws with a message for the user
+     */
+    async read(text, passphrase) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch {
+            throw new Error('This is not a backup file');
+        }
+        if (!file || file.format !== this.format || typeof file.data !== 'string') {
+            throw new Error('This is not a backup file');
+        }
+        if (file.version > this.version) {
+            throw new Error('This backup is from a newer version of the app');
+        }
+
+        let payload;
+        try {
+            payload = await window.CryptoUtils.decrypt(file.data, passphrase);
+        } catch {
+            throw new Error('Wrong passphrase, or the file is damaged');
+        }
+
+        if (!this.isValid(payload)) {
+            throw new Error('The backup is damaged');
+        }
+        return payload;
+    }
+
+    isValid(payload) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(payload) || typeof payload.createdAt !== 'string' || !isObject(payload.profiles) || !isObject(payload.storage) ||
+            !isObject(payload.anomalyAlerts) || !isObject(payload.history)) {
+            return false;
+        }
+
+        const profilesValid = Array.isArray(payload.profiles.profiles) && payload.profiles.profiles.every(profile =>
+            isObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string' &&
+            typeof profile.apiKey === 'string');
+        const storageValid = Object.keys(payload.storage).every(name => this.storageNames.includes(name));
+        const { records, snapshots } = payload.history;
+        const historyValid = Array.isArray(records) && Array.isArray(snapshots) &&
+            records.every(record => isObject(record) && window.DateRanges.isDateKey(record.date) &&
+                typeof record.model === 'string' && typeof record.profileId === 'string') &&
+            snapshots.every(snapshot => isObject(snapshot) && typeof snapshot.viewId === 'string');
+
+        return profilesValid && storageValid && historyValid;
+    }
+
+    /**
+     * Short description of a backup for confirming a restore
+     */
+    describe(payload) {
+        const profiles = payload.profiles.profiles.length;
+        return `${profiles} profile${profiles === 1 ? '' : 's'} and ${payload.history.records.length} ` +
+               `history records, saved ${new Date(payload.createdAt).toLocaleString()}`;
+    }
+
+    /**
+     * Restore a backup. 'replace' makes this device match the backup;
+     * 'merge' keeps this device's data and adds what it lacks: profiles,
+     * budgets, imported rows and history it does not have, and settings it
+     * has never saved. Everything that can fail (encryption, the history
+     * import) runs before localStorage is cleared or written.
+     */
+    async restore(payload, mode) {
+        const storage = window.StorageManager;
+        const replace = mode === 'replace';
+
+        // Keys are encrypted for this device
+        const profiles = await Promise.all(payload.profiles.profiles.map(async (profile) => ({
+            ...profile,
+            apiKey: await window.CryptoUtils.encrypt({ apiKey: profile.apiKey }, storage.deviceId)
+        })));
+
+        const index = replace ? { activeProfileId: null, profiles: [] } : storage.getProfileIndex();
+        profiles
+            .filter(profile => !index.profiles.some(existing => existing.id === profile.id))
+            .forEach(profile => index.profiles.push(profile));
+        if (!index.activeProfileId || !index.profiles.some(profile => profile.id === index.activeProfileId)) {
+            index.activeProfileId = payload.profiles.activeProfileId;
+        }
+
+        const entries = Object.entries(payload.storage).map(([name, value]) => {
+            const current = replace ? null : this.readEntry(name);
+            return [name, current === null ? value : this.mergeEntry(name, current, value)];
+        });
+
+        const anomalyAlerts = Object.entries(payload.anomalyAlerts).map(([viewId, keys]) => {
+            const current = replace ? [] : storage.getAnomalyAlerts(viewId);
+            return [viewId, [...new Set([...current, ...keys])]];
+        });
+
+        await window.HistoryStore.importAll(payload.history, { replace });
+
+        if (replace) {
+            storage.clearAllData({ keepDeviceId: true });
+        }
+        storage.saveProfileIndex(index);
+        entries.forEach(([name, value]) => this.writeEntry(name, value));
+        anomalyAlerts.forEach(([viewId, keys]) => storage.saveAnomalyAlerts(keys, viewId));
+    }
+
+    /**
+     * A device-wide entry merged with the backup's, this device's winning
+     */
+    mergeEntry(name, current, backup) {
+        switch (name) {
+            case 'BUDGETS': {
+                const ids = new Set((current.budgets || []).map(budget => budget.id));
+                const added = (backup.budgets || []).filter(budget => !ids.has(budget.id));
+                const alerts = Object.fromEntries(added
+                    .filter(budget => backup.alerts?.[budget.id])
+                    .map(budget => [budget.id, backup.alerts[budget.id]]));
+                return {
+                    budgets: [...(current.budgets || []), ...added],
+                    alerts: { ...current.alerts, ...alerts }
+                };
+            }
+            case 'CSV_IMPORT': {
+                const key = (record) => `${record.date}|${record.model}|${record.origin}`;
+                const keys = new Set((current.records || []).map(key));
+                return {
+                    ...current,
+                    records: [...(current.records || []), ...(backup.records || []).filter(record => !keys.has(key(record)))]
+                        .sort((a, b) => a.date.localeCompare(b.date))
+                };
+            }
+            default:
+                return current;
+        }
+    }
+
+    readEntry(name) {
+        try {
+            const value = localStorage.getItem(window.StorageManager.storageKeys[name]);
+            return value === null ? null : JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+
+    writeEntry(name, value) {
+        localStorage.setItem(window.StorageManager.storageKeys[name], JSON.stringify(value));
+    }
+
+    /**
+     * File name for a backup made today
+     */
+    getFilename() {
+        return `claude-usage-backup-${window.DateRanges.today()}.json`;
+    }
+}
+
+// Export for use in other modules
+window.BackupManager = new BackupManager();
@@ -0,0 +1,208 @@
+/**
+ * Budget Manager
+ * Monthly and weekly dollar budgets, overall, per model family or per key
+ * profile, with alerts at percentage thresholds. Monthly budgets follow the
+ * plan's billing cycle; weekly ones start on the configured weekday.
+ *
+ * Budget shape:
+ *   { id, period: 'monthly' | 'weekly', scope: 'overall' | 'family' | 'profile',
+ *     target (family name or profile ID), amount (USD), thresholds: [50, 80, 100] }
+ */
+
+class BudgetManager {
+    constructor() {
+        this.families = ['opus', 'sonnet', 'haiku'];
+        this.defaultThresholds = [50, 80, 100];
+
+        // { budgets, alerts: { <budget id>: { periodStart, fired: [<threshold>] } } }
+        this.state = { budgets: [], alerts: {} };
+    }
+
+    /**
+     * Restore budgets and fired alerts from storage
+     */
+    load(stored) {
+        this.state = {
+            budgets: stored?.budgets || [],
+            alerts: stored?.alerts || {}
+        };
+    }
+
+    save() {
+        window.StorageManager.saveBudgets(this.state);
+    }
+
+    list() {
+        return this.state.budgets;
+    }
+
+    /**
+     * Validate and add a budget; throws on bad input
+     */
+    add({ period, scope, target = null, amount, thresholds = this.defaultThresholds }) {
+        if (!['monthly', 'weekly'].includes(period)) {
+            throw new Error('Budget period must be monthly or weekly');
+        }
+        if (!['overall', 'family', 'profile'].includes(scope)) {
+            throw new Error('Budget scope must be overall, a model family or a profile');
+        }
+        if (scope === 'family' && !this.families.includes(target)) {
+            throw new Error(`Unknown model family "${target}"`);
+        }
+        if (!(amount > 0)) {
+            throw new Error('Budget amount must be greater than zero');
+        }
+
+        const levels = [...new Set(thresholds)]
+            .filter(level => Number.isFinite(level) && level > 0)
+            .sort((a, b) => a - b);
+        if (levels.length === 0) {
+            throw new Error('Add at least one alert threshold, e.g. 50, 80, 100');
+        }
+
+        const budget = {
+            id: `budget-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            period,
+            scope,
+            target: scope === 'overall' ? null : target,
+            amount,
+            thresholds: levels
+        };
+
+        this.state.budgets.push(budget);
+        this.save();
+        return budget;
+    }
+
+    remove(budgetId) {
+        this.state.budgets = this.state.budgets.filter(budget => budget.id !== budgetId);
+        delete this.state.alerts[budgetId];
+        this.save();
+    }
+
+    /**
+     * Drop budgets for a profile that no longer exists
+     */
+    removeProfileBudgets(profileId) {
+        this.state.budgets
+            .filter(budget => budget.scope === 'profile' && budget.target === profileId)
+            .forEach(budget => this.remove(budget.id));
+    }
+
+    /**
+     * Current { startDate, endDate } of a budget period; `cycle` is the
+     * billing cycle running now
+     */
+    getPeriod(period, { cycle, weekStartDay = 1, today } = {}) {
+        return period === 'weekly' ? window.DateRanges.getWeek(weekStartDay, today) : cycle;
+    }
+
+    /**
+     * Earliest date any budget's current period starts on
+     */
+    getEarliestStart(options) {
+        return this.state.budgets
+            .map(budget => this.getPeriod(budget.period, options).startDate)
+            .sort()[0] || null;
+    }
+
+    /**
+     * Spend against every budget. `records` carry a `profileId`; `getCost`
+     * and `getFamily` come from the API service.
+     */
+    evaluate(records, { getCost, getFamily, ...options }) {
+        return this.state.budgets.map(budget => {
+            const period = this.getPeriod(budget.period, options);
+            const spent = records
+                .filter(record => record.date >= period.startDate && record.date <= period.endDate)
+                .filter(record => this.matches(budget, record, getFamily))
+                .reduce((sum, record) => sum + getCost(record), 0);
+
+            return {
+                budget,
+                period,
+                spent,
+                percentage: (spent / budget.amount) * 100
+            };
+        });
+    }
+
+    matches(budget, record, getFamily) {
+        switch (budget.scope) {
+            case 'family':
+                return getFamily(record.model) === budget.target;
+            case 'profile':
+                return record.profileId === budget.target;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * A budget's spend per day as a [{ date, value }] series, for forecasting
+     */
+    getDailySpend(budget, records, { getCost, getFamily }) {
+        const days = new Map();
+        records
+            .filter(record => this.matches(budget, record, getFamily))
+            .forEach(record => days.set(record.date, (days.get(record.date) || 0) + getCost(record)));
+
+        return [...days.entries()].map(([date, value]) => ({ date, value }));
+    }
+
+    /**
+     * e.g. "Monthly Opus" or "Weekly Production"
+     */
+    describe(budget) {
+        const period = budget.period === 'weekly' ? 'Weekly' : 'Monthly';
+
+        if (budget.scope === 'family') {
+            return `${period} ${budget.target.charAt(0).toUpperCase()}${budget.target.slice(1)}`;
+        }
+        if (budget.scope === 'profile') {
+            const profile = window.StorageManager.listProfiles().find(p => p.id === budget.target);
+            return `${period} ${profile ? profile.name : 'removed profile'}`;
+        }
+        return `${period} overall`;
+    }
+
+    /**
+     * A `checkAlerts` alert as a notification (see notifications.js)
+     */
+    toNotification({ budget, threshold, spent }) {
+        return {
+            key: `budget:${budget.id}`,
+            title: 'Budget alert',
+            body: `${this.describe(budget)} budget at ${threshold}%: $${spent.toFixed(2)} of $${budget.amount.toFixed(2)}`
+        };
+    }
+
+    /**
+     * Thresholds newly crossed since the last check. Each fires once per
+     * period; a new period clears the fired list.
+     */
+    checkAlerts(results) {
+        const alerts = [];
+
+        results.forEach(({ budget, period, percentage, spent }) => {
+            let state = this.state.alerts[budget.id];
+            if (!state || state.periodStart !== period.startDate) {
+                state = { periodStart: period.startDate, fired: [] };
+                this.state.alerts[budget.id] = state;
+            }
+
+            // Only the highest newly crossed threshold is worth an alert
+            const crossed = budget.thresholds.filter(level => percentage >= level && !state.fired.includes(level));
+            if (crossed.length === 0) return;
+
+            state.fired.push(...crossed);
+            alerts.push({ budget, threshold: crossed[crossed.length - 1], spent });
+        });
+
+        this.save();
+        return alerts;
+    }
+}
+
+// Export for use in other modules
+window.BudgetManager = new BudgetManager();
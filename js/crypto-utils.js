@@ -69,8 +69,13 @@ class CryptoUtils {
             combined.set(iv, salt.length);
             combined.set(new Uint8Array(encrypted), salt.length + iv.length);
 
-            // Convert to base64 for storage
-            return btoa(String.fromCharCode(...combined));
+            // Convert to base64 for storage, in chunks so large data (backups)
+            // stays within the argument limit
+            let binary = '';
+            for (let i = 0; i < combined.length; i += 0x8000) {
+                binary += String.fromCharCode(...combined.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
         } catch (error) {
             console.error('Encryption error:', error);
             throw new Error('Failed to encrypt data');
@@ -0,0 +1,125 @@
+/**
+ * CSV Importer
+ * Reads a usage CSV, such as the Anthropic console's usage or cost export,
+ * into the CSV data source in steps: map columns to record fields, preview
+ * the rows against what is already imported and saved history, then merge.
+ *
+ * Preview row shape:
+ *   { record, status, existing }
+ * `status` is 'new', 'duplicate' (already imported as is), 'update' (adds
+ * to or replaces an imported row) or 'history' (new to the import, but
+ * another source already reported that day and model).
+ */
+
+class CsvImporter {
+    constructor() {
+        // Record fields a column can be read as, in mapping order
+        this.fields = [
+            { id: 'date', label: 'Date' },
+            { id: 'model', label: 'Model' },
+            { id: 'inputTokens', label: 'Input tokens' },
+            { id: 'outputTokens', label: 'Output tokens' },
+            { id: 'cacheCreationTokens', label: 'Cache write tokens' },
+            { id: 'cacheReadTokens', label: 'Cache read tokens' },
+            { id: 'tokens', label: 'Total tokens' },
+            { id: 'requests', label: 'Requests' },
+            { id: 'cost', label: 'Cost (USD)' }
+        ];
+
+        this.tokenFields = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'tokens'];
+    }
+
+    get source() {
+        return window.DataSources.get('csv');
+    }
+
+    /**
+     * Split a file into its header and rows, with a guessed mapping
+     */
+    read(text) {
+        const [header, ...rows] = this.source.parseRows(text);
+        if (!header) throw new Error('The file is empty');
+
+        return { header: header.map(name => name.trim()), rows, mapping: this.source.guessMapping(header) };
+    }
+
+    recordKey(record) {
+        return `${record.date}|${record.model}|${record.origin}`;
+    }
+
+    /**
+     * Numeric fields a mapping reads; mapping any token column provides
+     * the token total
+     */
+    getProvidedFields(mapping) {
+        const fields = this.fields.map(field => field.id)
+            .filter(field => field !== 'date' && field !== 'model' && mapping.includes(field));
+        if (fields.some(field => this.tokenFields.includes(field)) && !fields.includes('tokens')) {
+            fields.push('tokens');
+        }
+        return fields;
+    }
+
+    /**
+     * Records of a read file under `mapping`, one per day, model and origin
+     * (console exports split a day over workspaces, keys and token types)
+     */
+    buildRecords(table, mapping) {
+        const records = new Map();
+        this.source.mapRows(table.rows, mapping).forEach(record => {
+            const key = this.recordKey(record);
+            records.set(key, records.has(key)
+                ? window.DataSources.sumRecords(records.get(key), record)
+                : record);
+        });
+        return [...records.values()].sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model));
+    }
+
+    /**
+     * Compare records with the current import and with saved history
+     * records of other sources ({ date, model, origin, source })
+     */
+    preview(records, mapping, { imported = [], history = [] } = {}) {
+        const provided = this.getProvidedFields(mapping);
+        const existing = new Map(imported.map(record => [this.recordKey(record), record]));
+        const reported = new Set(history
+            .filter(record => record.source !== 'csv')
+            .map(record => this.recordKey(record)));
+
+        return records.map(record => {
+            const current = existing.get(this.recordKey(record));
+            if (current) {
+                const same = provided.every(field => current[field] === record[field]);
+                return { record, status: same ? 'duplicate' : 'update', existing: current };
+            }
+            return { record, status: reported.has(this.recordKey(record)) ? 'history' : 'new', existing: null };
+        });
+    }
+
+    /**
+     * The import's records after taking in previewed rows. Updates only
+     * overwrite the fields the file provides, so a cost export can add
+     * costs to an earlier usage export.
+     */
+    merge(imported, rows, mapping, { skipHistory = true } = {}) {
+        const provided = this.getProvidedFields(mapping);
+        const merged = new Map(imported.map(record => [this.recordKey(record), record]));
+
+        rows.forEach(({ record, status, existing }) => {
+            if (status === 'duplicate' || (status === 'history' && skipHistory)) return;
+
+            if (status === 'update') {
+                const updated = { ...existing };
+                provided.forEach(field => { updated[field] = record[field]; });
+                merged.set(this.recordKey(record), updated);
+            } else {
+                merged.set(this.recordKey(record), record);
+            }
+        });
+
+        return [...merged.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+}
+
+// Export for use in other modules
+window.CsvImporter = new CsvImporter();
@@ -0,0 +1,653 @@
+/**
+ * Usage Data Sources
+ * Adapters that each return normalized usage records. The manager fetches
+ * every enabled adapter and merges their records before they reach the
+ * dashboard.
+ *
+ * Record shape:
+ *   { date, model, origin, tokens, inputTokens, outputTokens,
+ *     cacheCreationTokens, cacheReadTokens, requests, cost, hourlyTokens, source }
+ * `origin` is where the usage happened ('api' or 'terminal'); token splits,
+ * `requests` and `cost` are null when a source does not report them.
+ * `hourlyTokens` splits `tokens` over the 24 UTC hours of the day, or is
+ * null for sources that only report whole days.
+ */
+
+class UsageDataSource {
+    constructor(id, label, options = {}) {
+        this.id = id;
+        this.label = label;
+        this.options = options;
+
+        // Key-scoped sources report per API key; the rest are per device
+        this.keyScoped = false;
+    }
+
+    /**
+     * Return usage records for a { startDate, endDate } range (YYYY-MM-DD,
+     * inclusive). `context.apiKey` selects the key of key-scoped sources.
+     */
+    async fetchRecords(range, context = {}) {
+        throw new Error(`Data source "${this.id}" does not implement fetchRecords`);
+    }
+
+    /**
+     * Extra summary fields this source contributes (e.g. session counts)
+     */
+    getMeta() {
+        return {};
+    }
+
+    /**
+     * Build a record with defaults; `tokens` is derived from the splits when omitted
+     */
+    createRecord(fields) {
+        const record = {
+            date: null,
+            model: 'unknown',
+            origin: 'api',
+            inputTokens: null,
+            outputTokens: null,
+            cacheCreationTokens: null,
+            cacheReadTokens: null,
+            requests: null,
+            cost: null,
+            hourlyTokens: null,
+            source: this.id,
+            ...fields
+        };
+
+        if (record.tokens === undefined) {
+            record.tokens = (record.inputTokens || 0) + (record.outputTokens || 0) +
+                            (record.cacheCreationTokens || 0) + (record.cacheReadTokens || 0);
+        }
+
+        return record;
+    }
+
+    /**
+     * List the dates of a range
+     */
+    eachDate(range) {
+        const dates = [];
+        const date = new Date(`${range.startDate}T00:00:00Z`);
+        const end = new Date(`${range.endDate}T00:00:00Z`);
+
+        while (date <= end) {
+            dates.push(date.toISOString().split('T')[0]);
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+
+        return dates;
+    }
+
+    inRange(date, range) {
+        return date >= range.startDate && date <= range.endDate;
+    }
+}
+
+/**
+ * Generated data for demonstrations. Each day's usage is derived from the
+ * seed, scenario and date, so history is stable across refreshes; today
+ * grows with the time of day instead of being redrawn.
+ */
+class DemoDataSource extends UsageDataSource {
+    constructor(options) {
+        super('demo', 'Demo data', options);
+
+        // Average daily tokens per scenario, as in test-data.js
+        this.scenarios = {
+            low: { label: 'Low', dailyTokens: 35000 },
+            medium: { label: 'Medium', dailyTokens: 180000 },
+            high: { label: 'High', dailyTokens: 600000 },
+            critical: { label: 'Critical', dailyTokens: 700000 }
+        };
+        this.defaultScenario = 'medium';
+        this.defaultSeed = 'demo';
+
+        // Model mix of the generated usage and each model's input share
+        this.modelMix = [
+            { model: 'claude-opus-4-1-20250805', share: 0.3, inputShare: 0.75 },
+            { model: 'claude-sonnet-4-20250514', share: 0.6, inputShare: 0.8 },
+            { model: 'claude-3-5-haiku-20241022', share: 0.1, inputShare: 0.85 }
+        ];
+
+        // Share of prompt tokens read from / written to the prompt cache
+        this.cacheShares = { read: 0.55, creation: 0.1 };
+
+        // Share of usage that comes from Claude Code rather than the API
+        this.terminalShare = 0.3;
+
+        // Relative activity per UTC hour; a working day with a quiet night
+        this.hourlyWeights = [
+            1, 1, 1, 1, 1, 1, 2, 4, 7, 9, 10, 10,
+            8, 9, 10, 10, 9, 7, 5, 4, 3, 2, 2, 1
+        ];
+    }
+
+    async fetchRecords(range) {
+        // Simulate API delay
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const { seed, scenario } = this.getSettings();
+        const now = new Date();
+        const today = now.toISOString().split('T')[0];
+        const records = [];
+
+        this.eachDate(range).forEach(date => {
+            if (date > today) return;
+
+            const random = this.createRandom(`${seed}|${scenario}|${date}`);
+            const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+            const weekendMultiplier = (dayOfWeek === 0 || dayOfWeek === 6) ? 0.6 : 1.15;
+            const variation = 0.7 + random() * 0.6;
+            const progress = date === today ? this.dayProgress(now) : 1;
+            const hourShares = this.hourShares(date === today ? now : null);
+            const dayTokens = this.scenarios[scenario].dailyTokens * weekendMultiplier * variation * progress;
+
+            this.modelMix.forEach(({ model, share, inputShare }) => {
+                const modelTokens = dayTokens * share * (0.85 + random() * 0.3);
+
+                [['terminal', this.terminalShare], ['api', 1 - this.terminalShare]].forEach(([origin, originShare]) => {
+                    const tokens = Math.floor(modelTokens * originShare);
+                    const promptTokens = Math.floor(tokens * inputShare);
+                    const cacheReadTokens = Math.floor(promptTokens * this.cacheShares.read);
+                    const cacheCreationTokens = Math.floor(promptTokens * this.cacheShares.creation);
+
+                    records.push(this.createRecord({
+                        date,
+                        model,
+                        origin,
+                        inputTokens: promptTokens - cacheReadTokens - cacheCreationTokens,
+                        outputTokens: tokens - promptTokens,
+                        cacheCreationTokens,
+                        cacheReadTokens,
+                        requests: Math.floor(tokens / 500),
+                        hourlyTokens: hourShares.map(share => Math.round(tokens * share))
+                    }));
+                });
+            });
+        });
+
+        return records;
+    }
+
+    /**
+     * Seed and scenario from preferences, falling back to the defaults
+     */
+    getSettings() {
+        const prefs = this.options.storage ? this.options.storage.getPreferences() : {};
+        return {
+            seed: String(prefs.demoSeed || this.defaultSeed),
+            scenario: this.scenarios[prefs.demoScenario] ? prefs.demoScenario : this.defaultScenario
+        };
+    }
+
+    /**
+     * Share of a day's activity that has happened by `now` (0-1, non-decreasing)
+     */
+    dayProgress(now) {
+        const hours = now.getUTCHours() + now.getUTCMinutes() / 60 + now.getUTCSeconds() / 3600;
+        const total = this.hourlyWeights.reduce((sum, weight) => sum + weight, 0);
+
+        let done = 0;
+        this.hourlyWeights.forEach((weight, hour) => {
+            done += weight * Math.min(Math.max(hours - hour, 0), 1);
+        });
+
+        return done / total;
+    }
+
+    /**
+     * Each UTC hour's share of a day's usage; for today (`now` given) only
+     * the elapsed hours, scaled to cover what has been used so far
+     */
+    hourShares(now = null) {
+        const hours = now ? now.getUTCHours() + now.getUTCMinutes() / 60 + now.getUTCSeconds() / 3600 : 24;
+        const weights = this.hourlyWeights.map((weight, hour) => weight * Math.min(Math.max(hours - hour, 0), 1));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return weights.map(weight => (total > 0 ? weight / total : 0));
+    }
+
+    /**
+     * Deterministic random number generator (mulberry32) seeded from a string
+     */
+    createRandom(key) {
+        // FNV-1a hash of the key
+        let state = 2166136261;
+        for (let i = 0; i < key.length; i++) {
+            state = Math.imul(state ^ key.charCodeAt(i), 16777619);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+/**
+ * Organization usage and cost reports (requires an admin key)
+ */
+class AdminApiDataSource extends UsageDataSource {
+    constructor(options) {
+        super('admin', 'Admin API (usage & cost reports)', options);
+
+        // Reports belong to the organization of the key, not the device
+        this.keyScoped = true;
+
+        // The reports change slowly; avoid re-requesting them on every tick.
+        // One refresh asks for several ranges (shown, forecast, budgets), so
+        // each key and range is cached: { records, fetchedAt } by cache key
+        this.cacheTtl = 60000;
+        this.cache = new Map();
+    }
+
+    async fetchRecords(range, context = {}) {
+        const api = this.options.api;
+        const apiKey = context.apiKey || api.headers['x-api-key'];
+        const cacheKey = `${apiKey}|${range.startDate}|${range.endDate}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+            return cached.records;
+        }
+
+        const now = new Date();
+        const end = new Date(`${range.endDate}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        const params = {
+            starting_at: `${range.startDate}T00:00:00Z`,
+            ending_at: (end < now ? end : now).toISOString(),
+            bucket_width: '1d',
+            limit: 31
+        };
+
+        const [usageBuckets, costBuckets] = await Promise.all([
+            api.fetchAllPages('/organizations/usage_report/messages', {
+                ...params,
+                group_by: ['model']
+            }, apiKey),
+            api.fetchAllPages('/organizations/cost_report', {
+                ...params,
+                group_by: ['description']
+            }, apiKey)
+        ]);
+
+        const records = this.mapReports(usageBuckets, costBuckets);
+        this.cache.forEach((entry, key) => {
+            if (Date.now() - entry.fetchedAt >= this.cacheTtl) this.cache.delete(key);
+        });
+        this.cache.set(cacheKey, { records, fetchedAt: Date.now() });
+        return records;
+    }
+
+    /**
+     * Combine usage and cost buckets into one record per day and model
+     */
+    mapReports(usageBuckets, costBuckets) {
+        const records = new Map();
+
+        const recordFor = (bucket, model) => {
+            const date = bucket.starting_at.split('T')[0];
+            const key = `${date}|${model}`;
+            if (!records.has(key)) {
+                records.set(key, {
+                    date,
+                    model,
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    cacheCreationTokens: 0,
+                    cacheReadTokens: 0,
+                    cost: null
+                });
+            }
+            return records.get(key);
+        };
+
+        usageBuckets.forEach(bucket => {
+            (bucket.results || []).forEach(result => {
+                const record = recordFor(bucket, result.model || 'unknown');
+                const cacheCreation = result.cache_creation || {};
+
+                record.inputTokens += result.uncached_input_tokens || 0;
+                record.outputTokens += result.output_tokens || 0;
+                record.cacheCreationTokens += (cacheCreation.ephemeral_5m_input_tokens || 0) +
+                                              (cacheCreation.ephemeral_1h_input_tokens || 0);
+                record.cacheReadTokens += result.cache_read_input_tokens || 0;
+            });
+        });
+
+        // Cost report amounts are decimal strings in cents; charges without
+        // a model (e.g. web search) are kept under 'other'. Usage without a
+        // cost row keeps a null cost, so it is priced from its tokens.
+        costBuckets.forEach(bucket => {
+            (bucket.results || []).forEach(result => {
+                const record = recordFor(bucket, result.model || 'other');
+                record.cost = (record.cost || 0) + (parseFloat(result.amount) || 0) / 100;
+            });
+        });
+
+        return [...records.values()].map(fields => this.createRecord(fields));
+    }
+}
+
+/**
+ * Imported Claude Code session transcripts
+ */
+class LocalLogsDataSource extends UsageDataSource {
+    constructor(options) {
+        super('local-logs', 'Claude Code logs', options);
+    }
+
+    async fetchRecords(range) {
+        const summary = this.options.storage.getLocalLogSummary();
+
+        return (summary?.daily || [])
+            .filter(bucket => this.inRange(bucket.date, range))
+            .map(bucket => this.createRecord({
+                date: bucket.date,
+                model: bucket.model,
+                origin: 'terminal',
+                inputTokens: bucket.inputTokens,
+                outputTokens: bucket.outputTokens,
+                cacheCreationTokens: bucket.cacheCreationTokens,
+                cacheReadTokens: bucket.cacheReadTokens,
+                requests: bucket.messages,
+                // Imports made before hourly totals were kept have none
+                hourlyTokens: bucket.hourlyTokens || null
+            }));
+    }
+
+    getMeta() {
+        const summary = this.options.storage.getLocalLogSummary();
+        return {
+            terminalSessions: summary?.sessions || 0,
+            lastTerminalSession: summary?.lastSession || null
+        };
+    }
+}
+
+/**
+ * Usage rows imported from a CSV file
+ */
+class CsvImportDataSource extends UsageDataSource {
+    constructor(options) {
+        super('csv', 'CSV import', options);
+
+        // Accepted header names (lowercase, spaces as underscores) per field,
+        // including the Anthropic console's usage and cost exports. Several
+        // columns of a numeric field (5-minute and 1-hour cache writes) are summed.
+        this.columns = {
+            date: ['date', 'day', 'usage_date', 'usage_date_utc'],
+            model: ['model', 'model_id', 'model_version'],
+            inputTokens: ['input_tokens', 'uncached_input_tokens', 'usage_input_tokens_no_cache'],
+            outputTokens: ['output_tokens', 'usage_output_tokens'],
+            cacheCreationTokens: [
+                'cache_creation_tokens', 'cache_creation_input_tokens', 'cache_write_tokens',
+                'usage_input_tokens_cache_write_5m', 'usage_input_tokens_cache_write_1h'
+            ],
+            cacheReadTokens: ['cache_read_tokens', 'cache_read_input_tokens', 'usage_input_tokens_cache_read'],
+            tokens: ['tokens', 'total_tokens'],
+            requests: ['requests', 'api_calls'],
+            cost: ['cost', 'cost_usd', 'amount']
+        };
+    }
+
+    async fetchRecords(range) {
+        const imported = this.options.storage.getCsvImport();
+        return (imported?.records || []).filter(record => this.inRange(record.date, range));
+    }
+
+    /**
+     * Parse CSV text into records with the guessed column mapping
+     */
+    parse(text) {
+        const [header, ...rows] = this.parseRows(text);
+        if (!header) return [];
+
+        return this.mapRows(rows, this.guessMapping(header));
+    }
+
+    /**
+     * The field each header column holds (a key of `columns`), or null
+     */
+    guessMapping(header) {
+        const names = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+        return names.map(name => Object.keys(this.columns).find(field => this.columns[field].includes(name)) || null);
+    }
+
+    /**
+     * Turn rows of cells into records, reading each column as the field
+     * `mapping` gives it; rows without a date are skipped
+     */
+    mapRows(rows, mapping) {
+        const dateIndex = mapping.indexOf('date');
+        const modelIndex = mapping.indexOf('model');
+        if (dateIndex === -1) {
+            throw new Error('CSV needs a date column');
+        }
+
+        // Several columns of a field are summed; empty cells do not count
+        const value = (row, field) => mapping.reduce((sum, mapped, index) => {
+            if (mapped !== field || row[index] === undefined || row[index].trim() === '') return sum;
+            const number = parseFloat(row[index].replace(/[$,]/g, ''));
+            return Number.isNaN(number) ? sum : (sum || 0) + number;
+        }, null);
+
+        return rows
+            .filter(row => row[dateIndex] && !Number.isNaN(Date.parse(row[dateIndex])))
+            .map(row => {
+                const fields = {
+                    date: this.toDateKey(row[dateIndex].trim()),
+                    model: modelIndex === -1 ? 'unknown' : (row[modelIndex] || 'unknown').trim(),
+                    inputTokens: value(row, 'inputTokens'),
+                    outputTokens: value(row, 'outputTokens'),
+                    cacheCreationTokens: value(row, 'cacheCreationTokens'),
+                    cacheReadTokens: value(row, 'cacheReadTokens'),
+                    requests: value(row, 'requests'),
+                    cost: value(row, 'cost')
+                };
+
+                const tokens = value(row, 'tokens');
+                if (tokens !== null) fields.tokens = tokens;
+
+                return this.createRecord(fields);
+            });
+    }
+
+    /**
+     * Normalize a CSV date cell to YYYY-MM-DD
+     */
+    toDateKey(value) {
+        // ISO dates and timestamps already start with the calendar date
+        if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+        const date = new Date(value);
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    /**
+     * Split CSV text into rows of cells, honouring quoted fields
+     */
+    parseRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                if (row.some(value => value.trim() !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+
+        return rows;
+    }
+}
+
+/**
+ * The /api/usage endpoint served by test-server.py
+ */
+class TestServerDataSource extends UsageDataSource {
+    constructor(options) {
+        super('test-server', 'Test server (/api/usage)', options);
+    }
+
+    async fetchRecords(range) {
+        const response = await fetch(this.options.endpoint || '/api/usage');
+        if (!response.ok) {
+            throw new Error(`Test server responded with status ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        // The endpoint only reports daily totals, not a per-model split
+        return (data.dailyUsage || [])
+            .filter(day => this.inRange(day.date, range))
+            .map(day => this.createRecord({
+                date: day.date,
+                tokens: day.tokens,
+                requests: day.apiCalls,
+                cost: day.cost
+            }));
+    }
+}
+
+/**
+ * Registry of data sources; fetches the enabled ones and merges their records
+ */
+class DataSourceManager {
+    constructor() {
+        // Registration order is priority order when sources overlap
+        this.sources = new Map();
+    }
+
+    register(source) {
+        this.sources.set(source.id, source);
+    }
+
+    /**
+     * Register the built-in adapters
+     */
+    registerDefaults({ api, storage }) {
+        this.register(new AdminApiDataSource({ api }));
+        this.register(new CsvImportDataSource({ storage }));
+        this.register(new TestServerDataSource({}));
+        this.register(new LocalLogsDataSource({ storage }));
+        this.register(new DemoDataSource({ storage }));
+    }
+
+    get(id) {
+        return this.sources.get(id);
+    }
+
+    list() {
+        return [...this.sources.values()];
+    }
+
+    /**
+     * Fetch all enabled sources; a failing source does not block the others
+     */
+    async fetchRecords(sourceIds, range, context = {}) {
+        const sources = this.list().filter(source => sourceIds.includes(source.id));
+        const results = await Promise.allSettled(sources.map(source => source.fetchRecords(range, context)));
+
+        const errors = [];
+        const recordSets = [];
+        let meta = {};
+
+        results.forEach((result, index) => {
+            const source = sources[index];
+            if (result.status === 'fulfilled') {
+                recordSets.push(result.value);
+                meta = { ...meta, ...source.getMeta() };
+            } else {
+                console.error(`Data source "${source.id}" failed:`, result.reason);
+                errors.push({ source: source.id, label: source.label, error: result.reason });
+            }
+        });
+
+        return {
+            records: this.mergeRecords(recordSets),
+            errors,
+            meta,
+            sources: sources.map(source => source.id)
+        };
+    }
+
+    /**
+     * Merge record sets (in priority order). Records for the same day, model
+     * and origin from different sources are the same usage reported twice,
+     * so only the highest-priority source's record is kept. Within a source,
+     * repeated keys are summed.
+     */
+    mergeRecords(recordSets) {
+        const merged = new Map();
+
+        recordSets.forEach(records => {
+            const own = new Map();
+
+            records.forEach(record => {
+                const key = `${record.date}|${record.model}|${record.origin}`;
+                if (merged.has(key)) return;
+
+                own.set(key, own.has(key) ? this.sumRecords(own.get(key), record) : { ...record });
+            });
+
+            own.forEach((record, key) => merged.set(key, record));
+        });
+
+        return [...merged.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    sumRecords(a, b) {
+        const sum = (x, y) => (x === null && y === null) ? null : (x || 0) + (y || 0);
+
+        return {
+            ...a,
+            tokens: a.tokens + b.tokens,
+            inputTokens: sum(a.inputTokens, b.inputTokens),
+            outputTokens: sum(a.outputTokens, b.outputTokens),
+            cacheCreationTokens: sum(a.cacheCreationTokens, b.cacheCreationTokens),
+            cacheReadTokens: sum(a.cacheReadTokens, b.cacheReadTokens),
+            requests: sum(a.requests, b.requests),
+            cost: sum(a.cost, b.cost)
+        };
+    }
+}
+
+// Export for use in other modules
+window.DataSources = new DataSourceManager();
@@ -0,0 +1,149 @@
+/**
+ * Date Ranges
+ * Resolves the dashboard's range presets to { startDate, endDate } pairs of
+ * UTC calendar dates (YYYY-MM-DD, both inclusive), matching the dates
+ * usage records are keyed by
+ */
+
+class DateRanges {
+    constructor() {
+        this.presets = [
+            { id: '7d', label: 'Last 7 days' },
+            { id: '30d', label: 'Last 30 days' },
+            { id: '90d', label: 'Last 90 days' },
+            { id: 'mtd', label: 'Month to date' },
+            { id: 'last-cycle', label: 'Last billing cycle' },
+            { id: 'custom', label: 'Custom range' }
+        ];
+
+        this.defaultSelection = { preset: '7d', startDate: null, endDate: null };
+    }
+
+    toDateKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Today's date, in UTC unless a time zone is given
+     */
+    today(timeZone = 'UTC') {
+        if (timeZone === 'UTC') return this.toDateKey(new Date());
+
+        // en-CA formats dates as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(new Date());
+    }
+
+    /**
+     * Shift a date key by a number of days
+     */
+    addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Whether a value is a real 'YYYY-MM-DD' day; Date rolls impossible
+     * days over (2026-02-31 → Mar 3), so the key must survive a round trip
+     */
+    isDateKey(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && this.toDateKey(date) === value;
+    }
+
+    /**
+     * Day `day` of a month, clamped to the month's length (31 → 30 Apr)
+     */
+    dayOfMonth(year, month, day) {
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return this.toDateKey(new Date(Date.UTC(year, month, Math.min(day, lastDay))));
+    }
+
+    /**
+     * The billing cycle containing `dateKey`, for cycles starting on
+     * `cycleDay` of each month
+     */
+    getBillingCycle(cycleDay = 1, dateKey = this.today()) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+
+        let startDate = this.dayOfMonth(year, month, cycleDay);
+        if (startDate > dateKey) {
+            startDate = this.dayOfMonth(year, month - 1, cycleDay);
+        }
+
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const nextStart = this.dayOfMonth(start.getUTCFullYear(), start.getUTCMonth() + 1, cycleDay);
+
+        return { startDate, endDate: this.addDays(nextStart, -1) };
+    }
+
+    /**
+     * The week containing `dateKey`, for weeks starting on `weekStartDay`
+     * (0 = Sunday)
+     */
+    getWeek(weekStartDay = 1, dateKey = this.today()) {
+        const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+        const startDate = this.addDays(dateKey, -((dayOfWeek - weekStartDay + 7) % 7));
+        return { startDate, endDate: this.addDays(startDate, 6) };
+    }
+
+    /**
+     * Resolve a saved selection ({ preset, startDate, endDate }) to a range.
+     * `cycleToday` is today in the plan's time zone, which decides the
+     * current billing cycle (see PlanManager.getCycle).
+     */
+    resolve(selection, { billingCycleDay = 1, today = this.today(), cycleToday = today } = {}) {
+        const { preset, startDate, endDate } = { ...this.defaultSelection, ...selection };
+        const lastDays = (days) => ({ startDate: this.addDays(today, -(days - 1)), endDate: today });
+
+        switch (preset) {
+            case '30d':
+                return lastDays(30);
+            case '90d':
+                return lastDays(90);
+            case 'mtd':
+                return { startDate: `${today.slice(0, 8)}01`, endDate: today };
+            case 'last-cycle': {
+                const current = this.getBillingCycle(billingCycleDay, cycleToday);
+                return this.getBillingCycle(billingCycleDay, this.addDays(current.startDate, -1));
+            }
+            case 'custom':
+                if (this.isDateKey(startDate) && this.isDateKey(endDate)) {
+                    return startDate <= endDate
+                        ? { startDate, endDate }
+                        : { startDate: endDate, endDate: startDate };
+                }
+                return lastDays(7);
+            default:
+                return lastDays(7);
+        }
+    }
+
+    /**
+     * Short description of a range, e.g. "Oct 13 – Oct 19, 2026"
+     */
+    formatRange(range) {
+        const format = (dateKey, withYear) => new Date(`${dateKey}T00:00:00Z`)
+            .toLocaleDateString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: withYear ? 'numeric' : undefined,
+                timeZone: 'UTC'
+            });
+
+        if (range.startDate === range.endDate) return format(range.startDate, true);
+        return `${format(range.startDate, range.startDate.slice(0, 4) !== range.endDate.slice(0, 4))} – ${format(range.endDate, true)}`;
+    }
+}
+
+// Export for use in other modules
+window.DateRanges = new DateRanges();
@@ -0,0 +1,142 @@
+/**
+ * Forecaster
+ * Projects a daily series (tokens or dollars) to the end of a period from
+ * recent history, scaled by how usage varies across the days of the week,
+ * and estimates when a limit will be reached at that pace
+ *
+ * Series shape: [{ date: 'YYYY-MM-DD', value }], missing dates count as 0.
+ */
+
+class Forecaster {
+    constructor() {
+        // Complete days used to fit the daily level and weekday pattern
+        this.historyDays = 28;
+        // Fewer days than this and every weekday is treated alike
+        this.minSeasonalDays = 14;
+        // The level follows the most recent days
+        this.levelDays = 14;
+        // z-score of the band edges (90% interval)
+        this.bandZ = 1.645;
+    }
+
+    /**
+     * Range of dates to fetch to forecast `period`
+     */
+    getHistoryRange(period, today = window.DateRanges.today()) {
+        const historyStart = window.DateRanges.addDays(today, -this.historyDays);
+        return {
+            startDate: period.startDate < historyStart ? period.startDate : historyStart,
+            endDate: today
+        };
+    }
+
+    /**
+     * Daily level, weekday factors (index 0 = Sunday) and day-to-day spread
+     * from the complete days before `today`
+     */
+    fit(values, today) {
+        const firstDate = [...values.keys()].sort()[0] || today;
+        const days = [];
+        for (let offset = this.historyDays; offset >= 1; offset--) {
+            const date = window.DateRanges.addDays(today, -offset);
+            // Days before the first record predate the account, not idle days
+            if (date < firstDate) continue;
+            days.push({ weekday: this.weekday(date), value: values.get(date) || 0 });
+        }
+
+        // Nothing complete yet: today so far is the best guess
+        if (days.length === 0) {
+            return { level: values.get(today) || 0, factors: new Array(7).fill(1), sigma: 0 };
+        }
+
+        const mean = days.reduce((sum, day) => sum + day.value, 0) / days.length;
+        const factors = new Array(7).fill(1);
+        if (days.length >= this.minSeasonalDays && mean > 0) {
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const matching = days.filter(day => day.weekday === weekday);
+                if (matching.length === 0) continue;
+                factors[weekday] = matching.reduce((sum, day) => sum + day.value, 0) / matching.length / mean;
+            }
+        }
+
+        // Deseasonalised mean of the recent days; weekdays that never see
+        // usage say nothing about the level
+        const recent = days.slice(-this.levelDays).filter(day => factors[day.weekday] > 0);
+        const level = recent.length > 0
+            ? recent.reduce((sum, day) => sum + day.value / factors[day.weekday], 0) / recent.length
+            : 0;
+
+        const variance = days.reduce((sum, day) => {
+            const error = day.value - level * factors[day.weekday];
+            return sum + error * error;
+        }, 0) / days.length;
+
+        return { level, factors, sigma: Math.sqrt(variance) };
+    }
+
+    /**
+     * Project `series` to the end of `period`. Returns totals for the period
+     * (actual so far, projected, low, high), the date `limit` is reached
+     * (null when not within the period) and per-day expectations with band
+     * edges for the days after today.
+     */
+    forecast(series, { startDate, endDate, today = window.DateRanges.today(), limit = null }) {
+        const values = new Map();
+        series.forEach(({ date, value }) => values.set(date, (values.get(date) || 0) + value));
+
+        const { level, factors, sigma } = this.fit(values, today);
+        const expectedOn = (date) => level * factors[this.weekday(date)];
+
+        let cumulative = 0;
+        let exhaustionDate = null;
+        const reach = (date) => {
+            if (exhaustionDate === null && limit > 0 && cumulative >= limit) exhaustionDate = date;
+        };
+
+        for (let date = startDate; date <= today && date <= endDate; date = window.DateRanges.addDays(date, 1)) {
+            cumulative += values.get(date) || 0;
+            reach(date);
+        }
+        const actual = cumulative;
+
+        // The rest of today is expected on top of what has already been used
+        if (today >= startDate && today <= endDate) {
+            cumulative += Math.max(expectedOn(today) - (values.get(today) || 0), 0);
+            reach(today);
+        }
+
+        const days = [];
+        for (let date = window.DateRanges.addDays(today, 1); date <= endDate; date = window.DateRanges.addDays(date, 1)) {
+            const expected = expectedOn(date);
+            cumulative += expected;
+            reach(date);
+            days.push({
+                date,
+                expected,
+                low: Math.max(expected - this.bandZ * sigma, 0),
+                high: expected + this.bandZ * sigma
+            });
+        }
+
+        // Daily errors are treated as independent, so the spread of the
+        // total grows with the square root of the days left
+        const spread = this.bandZ * sigma * Math.sqrt(days.length);
+
+        return {
+            actual,
+            projected: cumulative,
+            low: Math.max(cumulative - spread, actual),
+            high: cumulative + spread,
+            limit,
+            exhaustionDate,
+            days
+        };
+    }
+
+    weekday(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    }
+}
+
+// Export for use in other modules
+window.Forecaster = new Forecaster();
@@ -0,0 +1,393 @@
+/**
+ * History Store
+ * Usage history in IndexedDB, shared by the page and the service worker.
+ * Every refresh upserts its per-day, per-model records, so history grows
+ * beyond what one fetch returns, and records a snapshot of the totals.
+ *
+ * Stores:
+ *   records    { id, profileId, date, model, origin, source, tokens, ...,
+ *                savedAt } keyed 'profileId|date|model|origin', indexed by
+ *                date, model and profileId. profileId is a profile id or
+ *                'device' (see ApiService.fetchProfileRecords).
+ *   snapshots  { id, viewId, takenAt, range, totalTokens, totalCost, apiCalls,
+ *                models: [{ id, name, tokens, cost }], alerts }, indexed by
+ *                viewId and takenAt. At most one per `snapshotInterval` slot
+ *                per view; later refreshes in the slot update it. `alerts` is
+ *                the fired-threshold state at the time, { <key>: { periodStart,
+ *                fired } }, or null.
+ *   latest     the last full dashboard summary per view, for offline use
+ */
+
+class HistoryStore {
+    constructor() {
+        this.dbName = 'claude-monitor-history';
+        this.snapshotInterval = 5 * 60 * 1000;
+        this.snapshotDays = 90;
+        this.db = null;
+
+        // Schema changes, in order; opening at version N runs migrations[0..N-1]
+        // that the database has not seen yet. Only ever append.
+        this.migrations = [
+            (db) => {
+                const records = db.createObjectStore('records', { keyPath: 'id' });
+                records.createIndex('date', 'date');
+                records.createIndex('model', 'model');
+                records.createIndex('profileId', 'profileId');
+
+                const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                snapshots.createIndex('viewId', 'viewId');
+                snapshots.createIndex('takenAt', 'takenAt');
+
+                db.createObjectStore('latest', { keyPath: 'viewId' });
+            }
+        ];
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.migrations.length);
+                request.onupgradeneeded = (event) => {
+                    for (let version = event.oldVersion; version < this.migrations.length; version++) {
+                        this.migrations[version](request.result, request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer page or worker upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.db = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run `work(stores)` in one transaction over `storeNames` and resolve
+     * with what it returns once the transaction commits
+     */
+    async run(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            let result;
+            Promise.resolve(work(stores, transaction)).then(value => { result = value; }, error => {
+                try {
+                    transaction.abort();
+                } catch {
+                    // Already finished
+                }
+                reject(error);
+            });
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Resolve a request's result (inside an open transaction)
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete what a cursor over `source` (a store or index) visits
+     */
+    deleteWhere(source, query) {
+        return new Promise((resolve, reject) => {
+            const request = source.openCursor(query);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                cursor.delete();
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    recordId(record) {
+        return `${record.profileId}|${record.date}|${record.model}|${record.origin}`;
+    }
+
+    /**
+     * Upsert records tagged with `profileId`
+     */
+    saveRecords(records) {
+        const savedAt = Date.now();
+        return this.run(['records'], 'readwrite', ({ records: store }) => {
+            records.forEach(record => store.put({ ...record, id: this.recordId(record), savedAt }));
+        });
+    }
+
+    /**
+     * Records from `startDate` to `endDate`, optionally only for some
+     * profile ids (include 'device' for device-wide usage) or one model
+     */
+    getRecords({ startDate, endDate, profileIds = null, model = null }) {
+        return this.run(['records'], 'readonly', async ({ records: store }) => {
+            const found = model
+                ? await this.request(store.index('model').getAll(model))
+                : await this.request(store.index('date').getAll(IDBKeyRange.bound(startDate, endDate)));
+
+            return found.filter(record => record.date >= startDate && record.date <= endDate &&
+                (!profileIds || profileIds.includes(record.profileId)));
+        });
+    }
+
+    /**
+     * Store one refresh of a view ('all' or a profile id): its records,
+     * a snapshot of the totals and alert state, and the full summary
+     */
+    saveRefresh(viewId, data, { alerts = null } = {}) {
+        const takenAt = Date.now();
+        const { records = [], ...summary } = data;
+        const snapshot = {
+            viewId,
+            takenAt,
+            range: data.range,
+            totalTokens: data.totalTokens,
+            totalCost: data.totalCost,
+            apiCalls: data.apiCalls,
+            models: data.models.map(({ id, name, tokens, cost }) => ({ id, name, tokens, cost })),
+            alerts
+        };
+
+        return this.run(['records', 'snapshots', 'latest'], 'readwrite', async (stores) => {
+            records.forEach(record => stores.records.put({ ...record, id: this.recordId(record), savedAt: takenAt }));
+            stores.latest.put({ ...summary, viewId, cachedAt: takenAt });
+
+            const last = await this.findLastSnapshot(stores.snapshots, viewId);
+            const slot = (time) => Math.floor(time / this.snapshotInterval);
+            if (last && slot(last.takenAt) === slot(takenAt)) {
+                stores.snapshots.put({ ...snapshot, id: last.id });
+            } else {
+                stores.snapshots.add(snapshot);
+            }
+
+            await this.deleteWhere(stores.snapshots.index('takenAt'),
+                IDBKeyRange.upperBound(takenAt - this.snapshotDays * 24 * 60 * 60 * 1000));
+        });
+    }
+
+    /**
+     * The newest snapshot of a view, read through an open store
+     */
+    async findLastSnapshot(store, viewId) {
+        const snapshots = await this.request(store.index('viewId').getAll(viewId));
+        return snapshots.reduce((last, snapshot) =>
+            (!last || snapshot.takenAt > last.takenAt ? snapshot : last), null);
+    }
+
+    getLastSnapshot(viewId) {
+        return this.run(['snapshots'], 'readonly', ({ snapshots: store }) => this.findLastSnapshot(store, viewId));
+    }
+
+    /**
+     * What changed from one snapshot of a view to a later one: tokens, cost
+     * and API calls added, the models that grew (most first) and the alert
+     * thresholds crossed ({ key, threshold })
+     */
+    diffSnapshots(before, after) {
+        const previousModels = new Map(before.models.map(model => [model.id, model]));
+        const models = after.models
+            .map(model => ({
+                id: model.id,
+                name: model.name,
+                tokens: model.tokens - (previousModels.get(model.id)?.tokens || 0),
+                cost: model.cost - (previousModels.get(model.id)?.cost || 0)
+            }))
+            .filter(model => model.tokens > 0)
+            .sort((a, b) => b.tokens - a.tokens);
+
+        // Snapshots from before alert state was kept cannot tell what is new
+        const thresholds = before.alerts
+            ? Object.entries(after.alerts || {}).flatMap(([key, state]) => {
+                const previous = before.alerts[key];
+                const fired = previous && previous.periodStart === state.periodStart ? previous.fired : [];
+                return state.fired
+                    .filter(threshold => !fired.includes(threshold))
+                    .map(threshold => ({ key, threshold }));
+            })
+            : [];
+
+        return {
+            since: before.takenAt,
+            tokens: after.totalTokens - before.totalTokens,
+            cost: after.totalCost - before.totalCost,
+            apiCalls: after.apiCalls !== null && before.apiCalls !== null ? after.apiCalls - before.apiCalls : null,
+            models,
+            thresholds
+        };
+    }
+
+    /**
+     * A view's snapshots, oldest first
+     */
+    async getSnapshots(viewId) {
+        const snapshots = await this.run(['snapshots'], 'readonly', ({ snapshots: store }) =>
+            this.request(store.index('viewId').getAll(viewId)));
+        return snapshots.sort((a, b) => a.takenAt - b.takenAt);
+    }
+
+    /**
+     * The last full summary saved for a view, with its `cachedAt`
+     */
+    async getLatest(viewId) {
+        const latest = await this.run(['latest'], 'readonly', ({ latest: store }) =>
+            this.request(store.get(viewId)));
+        if (!latest) return null;
+
+        const { viewId: _viewId, ...summary } = latest;
+        return summary;
+    }
+
+    /**
+     * Drop a removed profile's records, snapshots and summary
+     */
+    removeProfile(profileId) {
+        return this.run(['records', 'snapshots', 'latest'], 'readwrite', async (stores) => {
+            await this.deleteWhere(stores.records.index('profileId'), IDBKeyRange.only(profileId));
+            await this.deleteWhere(stores.snapshots.index('viewId'), IDBKeyRange.only(profileId));
+            stores.latest.delete(profileId);
+        });
+    }
+
+    clear() {
+        return this.run(['records', 'snapshots', 'latest'], 'readwrite', (stores) => {
+            Object.values(stores).forEach(store => store.clear());
+        });
+    }
+
+    /**
+     * All records and snapshots, for a backup. Latest summaries are left
+     * out; the next refresh saves them again.
+     */
+    exportAll() {
+        return this.run(['records', 'snapshots'], 'readonly', async (stores) => ({
+            records: await this.request(stores.records.getAll()),
+            snapshots: (await this.request(stores.snapshots.getAll())).map(({ id: _id, ...snapshot }) => snapshot)
+        }));
+    }
+
+    /**
+     * Take in a backup's records and snapshots, either replacing history
+     * or adding only what it does not have yet
+     */
+    importAll({ records, snapshots }, { replace = false } = {}) {
+        return this.run(['records', 'snapshots', 'latest'], 'readwrite', async (stores) => {
+            if (replace) {
+                Object.values(stores).forEach(store => store.clear());
+            }
+
+            const ids = new Set(replace ? [] : await this.request(stores.records.getAllKeys()));
+            records
+                .filter(record => !ids.has(this.recordId(record)))
+                .forEach(record => stores.records.put({ ...record, id: this.recordId(record) }));
+
+            const taken = new Set(replace ? [] : (await this.request(stores.snapshots.getAll()))
+                .map(snapshot => `${snapshot.viewId}|${snapshot.takenAt}`));
+            snapshots
+                .filter(snapshot => !taken.has(`${snapshot.viewId}|${snapshot.takenAt}`))
+                .forEach(({ id: _id, ...snapshot }) => stores.snapshots.add(snapshot));
+        });
+    }
+
+    /**
+     * Move usage that older versions cached in localStorage (one summary
+     * per view) into history: each becomes the view's latest summary and a
+     * snapshot taken at its `cachedAt`, and its days become records that
+     * history does not have yet. Page only; the worker has no localStorage.
+     */
+    async migrateLocalStorage(storage) {
+        const cached = storage.getLegacyUsageData();
+        if (cached.length === 0) return;
+
+        await this.run(['records', 'snapshots', 'latest'], 'readwrite', async (stores) => {
+            const ids = new Set(await this.request(stores.records.getAllKeys()));
+            cached.forEach(({ viewId, data }) => {
+                this.getLegacyRecords(viewId, data)
+                    .filter(record => !ids.has(this.recordId(record)))
+                    .forEach(record => {
+                        ids.add(this.recordId(record));
+                        stores.records.put({ ...record, id: this.recordId(record), savedAt: data.cachedAt });
+                    });
+            });
+
+            for (const { viewId, data } of cached) {
+                const current = await this.request(stores.latest.get(viewId));
+                if (!current || current.cachedAt < data.cachedAt) {
+                    const { records: _records, ...summary } = data;
+                    stores.latest.put({ ...summary, viewId });
+                }
+
+                stores.snapshots.add({
+                    viewId,
+                    takenAt: data.cachedAt,
+                    range: data.range || null,
+                    totalTokens: data.totalTokens,
+                    totalCost: data.totalCost,
+                    apiCalls: data.apiCalls ?? null,
+                    models: (data.models || []).map(({ id, name, tokens, cost }) => ({ id, name, tokens, cost })),
+                    alerts: null
+                });
+            }
+        });
+
+        storage.clearLegacyUsageData();
+    }
+
+    /**
+     * Records of a legacy summary: the records it kept, else one per day
+     * and model of `dailyUsage`, with the day's cost split by tokens. Days
+     * of the all-profiles view cannot be told apart by profile, so only
+     * its own records are used.
+     */
+    getLegacyRecords(viewId, data) {
+        if (Array.isArray(data.records)) {
+            return data.records
+                .filter(record => record && typeof record.date === 'string' && typeof record.model === 'string')
+                .map(record => ({ ...record, profileId: record.profileId || viewId }))
+                .filter(record => record.profileId !== 'all');
+        }
+        if (viewId === 'all' || !Array.isArray(data.dailyUsage)) return [];
+
+        return data.dailyUsage
+            .filter(day => day && typeof day.date === 'string' && day.tokens > 0)
+            .flatMap(day => {
+                const models = day.models && Object.keys(day.models).length > 0
+                    ? day.models
+                    : { unknown: day.tokens };
+                return Object.entries(models).map(([model, tokens]) => ({
+                    profileId: viewId,
+                    date: day.date,
+                    model,
+                    origin: 'api',
+                    inputTokens: null,
+                    outputTokens: null,
+                    cacheCreationTokens: null,
+                    cacheReadTokens: null,
+                    tokens,
+                    requests: null,
+                    cost: typeof day.cost === 'number' ? day.cost * tokens / day.tokens : null,
+                    hourlyTokens: null,
+                    source: 'legacy'
+                }));
+            });
+    }
+}
+
+// Export for use in other modules
+window.HistoryStore = new HistoryStore();
@@ -0,0 +1,185 @@
+/**
+ * Local Log Importer for Claude Code Session Transcripts
+ * Reads JSONL transcripts (~/.claude/projects/<project>/<session>.jsonl)
+ * and totals the usage block of every assistant message
+ */
+
+class LocalLogImporter {
+    constructor() {
+        this.fileExtension = '.jsonl';
+
+        // Days of individual messages kept for the session window tracker
+        this.recentDays = 8;
+    }
+
+    /**
+     * Check for File System Access API directory picking
+     */
+    isDirectoryPickerSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Let the user pick a projects directory and collect its transcripts.
+     * Returns null when the API is unavailable so callers can fall back
+     * to a file input.
+     */
+    async pickFiles() {
+        if (!this.isDirectoryPickerSupported()) return null;
+
+        const directory = await window.showDirectoryPicker({ id: 'claude-projects', mode: 'read' });
+        return this.collectFiles(directory);
+    }
+
+    /**
+     * Recursively collect transcript files from a directory handle
+     */
+    async collectFiles(directoryHandle) {
+        const files = [];
+
+        for await (const handle of directoryHandle.values()) {
+            if (handle.kind === 'directory') {
+                files.push(...await this.collectFiles(handle));
+            } else if (handle.name.endsWith(this.fileExtension)) {
+                files.push(await handle.getFile());
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Parse transcript files into a usage summary
+     */
+    async parseFiles(files) {
+        const state = {
+            seen: new Set(),
+            sessions: new Set(),
+            daily: new Map(),
+            messages: [],
+            lastSession: null,
+            skippedLines: 0
+        };
+
+        const transcripts = files.filter(file => file.name.endsWith(this.fileExtension));
+        for (const file of transcripts) {
+            this.parseTranscript(await file.text(), state);
+        }
+
+        return this.buildSummary(state, transcripts.length);
+    }
+
+    /**
+     * Accumulate usage from one transcript's lines
+     */
+    parseTranscript(text, state) {
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                state.skippedLines++;
+                return;
+            }
+
+            const message = entry.message;
+            if (entry.type !== 'assistant' || !message || !message.usage) return;
+
+            // Error placeholders carry zero usage and no real model
+            if (!message.model || message.model === '<synthetic>') return;
+
+            // Each content block is logged on its own line with the same usage
+            const key = `${message.id}:${entry.requestId || ''}`;
+            if (state.seen.has(key)) return;
+            state.seen.add(key);
+
+            if (entry.sessionId) state.sessions.add(entry.sessionId);
+            if (entry.timestamp && (!state.lastSession || entry.timestamp > state.lastSession)) {
+                state.lastSession = entry.timestamp;
+            }
+
+            const timestamp = entry.timestamp || new Date().toISOString();
+            const date = timestamp.split('T')[0];
+            const bucketKey = `${date}|${message.model}`;
+            if (!state.daily.has(bucketKey)) {
+                state.daily.set(bucketKey, {
+                    date,
+                    model: message.model,
+                    inputTokens: 0,
+                    outputTokens: 0,
+                    cacheCreationTokens: 0,
+                    cacheReadTokens: 0,
+                    messages: 0,
+                    // Tokens per UTC hour
+                    hourlyTokens: new Array(24).fill(0)
+                });
+            }
+
+            const bucket = state.daily.get(bucketKey);
+            const usage = message.usage;
+            bucket.inputTokens += usage.input_tokens || 0;
+            bucket.outputTokens += usage.output_tokens || 0;
+            bucket.cacheCreationTokens += usage.cache_creation_input_tokens || 0;
+            bucket.cacheReadTokens += usage.cache_read_input_tokens || 0;
+            bucket.messages++;
+
+            const time = Date.parse(timestamp);
+            if (!Number.isNaN(time)) {
+                const tokens = (usage.input_tokens || 0) + (usage.output_tokens || 0) +
+                               (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+                bucket.hourlyTokens[new Date(time).getUTCHours()] += tokens;
+                state.messages.push([time, tokens]);
+            }
+        });
+    }
+
+    /**
+     * Build the stored summary from parse state. `recentMessages` holds
+     * [epoch ms, tokens] pairs for the last `recentDays`, oldest first.
+     */
+    buildSummary(state, fileCount) {
+        const daily = [...state.daily.values()]
+            .sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model));
+        const cutoff = Date.now() - this.recentDays * 24 * 60 * 60 * 1000;
+
+        return {
+            files: fileCount,
+            sessions: state.sessions.size,
+            messages: state.seen.size,
+            lastSession: state.lastSession,
+            skippedLines: state.skippedLines,
+            daily,
+            recentMessages: state.messages
+                .filter(([time]) => time >= cutoff)
+                .sort((a, b) => a[0] - b[0]),
+            importedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Total tokens for one daily bucket, cached and uncached
+     */
+    bucketTokens(bucket) {
+        return bucket.inputTokens + bucket.outputTokens +
+               bucket.cacheCreationTokens + bucket.cacheReadTokens;
+    }
+
+    /**
+     * Totals for buckets on or after a date (YYYY-MM-DD)
+     */
+    summarize(summary, sinceDate = '') {
+        const buckets = (summary?.daily || []).filter(bucket => bucket.date >= sinceDate);
+
+        return {
+            sessions: summary?.sessions || 0,
+            messages: buckets.reduce((sum, bucket) => sum + bucket.messages, 0),
+            totalTokens: buckets.reduce((sum, bucket) => sum + this.bucketTokens(bucket), 0),
+            lastSession: summary?.lastSession || null
+        };
+    }
+}
+
+// Export for use in other modules
+window.LocalLogImporter = new LocalLogImporter();
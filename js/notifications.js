@@ -0,0 +1,184 @@
+/**
+ * Notification Manager
+ * Raises system notifications through the service worker registration for
+ * alerts (usage limits, budgets, usage spikes), honouring the notifications
+ * preference, quiet hours and per-alert snoozes.
+ *
+ * Alert shape:
+ *   { key, title, body }
+ * `key` identifies the alert for snoozing, e.g. 'budget:<id>' or 'anomaly:<model>'.
+ */
+
+class NotificationManager {
+    constructor() {
+        this.snoozeMs = 24 * 60 * 60 * 1000;
+        // Plan usage limit alerts, in percent
+        this.limitThresholds = [80, 100];
+
+        // { snoozes: { <alert key>: <until, epoch ms> },
+        //   thresholds: { <alert key>: { periodStart, fired: [<threshold>] } } }
+        this.state = { snoozes: {}, thresholds: {} };
+    }
+
+    /**
+     * Restore snoozes and fired thresholds from storage
+     */
+    load(stored) {
+        this.state = {
+            snoozes: stored?.snoozes || {},
+            thresholds: stored?.thresholds || {}
+        };
+    }
+
+    save() {
+        window.StorageManager.saveNotificationState(this.state);
+    }
+
+    isSupported() {
+        return 'Notification' in window && (Boolean(this.getWorkerRegistration()) || 'serviceWorker' in navigator);
+    }
+
+    /**
+     * The registration when running inside the service worker itself
+     */
+    getWorkerRegistration() {
+        return window.registration || null;
+    }
+
+    /**
+     * Ask for permission; resolves to true when notifications may be shown
+     */
+    async requestPermission() {
+        if (!this.isSupported()) return false;
+        if (Notification.permission === 'granted') return true;
+        if (Notification.permission === 'denied') return false;
+
+        return (await Notification.requestPermission()) === 'granted';
+    }
+
+    /**
+     * Whether `date` falls in the quiet hours ({ enabled, start, end } as
+     * local "HH:MM"; a start after the end spans midnight)
+     */
+    isQuietTime(quietHours, date = new Date()) {
+        if (!quietHours || !quietHours.enabled) return false;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+
+        return start <= end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    isSnoozed(key, now = Date.now()) {
+        return (this.state.snoozes[key] || 0) > now;
+    }
+
+    snooze(key, until = Date.now() + this.snoozeMs) {
+        this.state.snoozes[key] = until;
+        this.pruneSnoozes();
+        this.save();
+    }
+
+    unsnooze(key) {
+        delete this.state.snoozes[key];
+        this.save();
+    }
+
+    /**
+     * Active snoozes as [{ key, until }]
+     */
+    listSnoozes() {
+        this.pruneSnoozes();
+        return Object.entries(this.state.snoozes).map(([key, until]) => ({ key, until }));
+    }
+
+    pruneSnoozes(now = Date.now()) {
+        Object.entries(this.state.snoozes).forEach(([key, until]) => {
+            if (until <= now) delete this.state.snoozes[key];
+        });
+    }
+
+    /**
+     * Highest threshold newly crossed by `percentage` in the period
+     * starting `periodStart`, or null. Each fires once per period.
+     */
+    checkThreshold(key, periodStart, percentage, thresholds) {
+        let state = this.state.thresholds[key];
+        if (!state || state.periodStart !== periodStart) {
+            state = { periodStart, fired: [] };
+            this.state.thresholds[key] = state;
+        }
+
+        const crossed = thresholds.filter(level => percentage >= level && !state.fired.includes(level));
+        if (crossed.length === 0) return null;
+
+        state.fired.push(...crossed);
+        this.save();
+        return crossed[crossed.length - 1];
+    }
+
+    /**
+     * Limit alerts for billing-cycle usage of a view ('all' or a profile ID).
+     * `tokens` and `cost` are { actual, limit }; limits may be null.
+     */
+    checkLimits({ cycle, tokens, cost }, viewId) {
+        return [
+            { id: 'tokens', label: 'Token', ...tokens, format: (value) => window.ApiService.formatNumber(Math.round(value)) },
+            { id: 'cost', label: 'Spend', ...cost, format: (value) => `$${value.toFixed(2)}` }
+        ].filter(meter => meter.limit).map(meter => {
+            const threshold = this.checkThreshold(
+                `limit:${meter.id}|${viewId}`,
+                cycle.startDate,
+                (meter.actual / meter.limit) * 100,
+                this.limitThresholds
+            );
+            return threshold === null ? null : {
+                key: `limit:${meter.id}`,
+                title: 'Usage limit',
+                body: `${meter.label} limit at ${threshold}%: ${meter.format(meter.actual)} of ${meter.format(meter.limit)}`,
+                threshold
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Show an alert as a system notification unless notifications are off,
+     * not permitted, snoozed for this alert or in quiet hours. Resolves to
+     * whether it was shown.
+     */
+    async notify({ key, title, body }) {
+        const prefs = window.StorageManager.getPreferences();
+        if (!prefs.notifications || !this.isSupported() || Notification.permission !== 'granted') return false;
+        if (this.isSnoozed(key) || this.isQuietTime(prefs.quietHours)) return false;
+
+        try {
+            const registration = this.getWorkerRegistration() || await navigator.serviceWorker.getRegistration();
+            if (!registration) return false;
+
+            await registration.showNotification(title, {
+                body,
+                icon: '/icons/icon-192.png',
+                badge: '/icons/icon-96.png',
+                // A newer alert of the same kind replaces the old one
+                tag: key,
+                data: { key, snoozeMs: this.snoozeMs, url: '/#/dashboard' },
+                actions: [
+                    { action: 'view', title: 'View Dashboard' },
+                    { action: 'snooze', title: 'Snooze for a day' }
+                ]
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+            return false;
+        }
+    }
+}
+
+// Export for use in other modules
+window.NotificationManager = new NotificationManager();
@@ -0,0 +1,127 @@
+/**
+ * Plan Manager
+ * The plan the user is on, with the monthly token and dollar limits, the
+ * billing-cycle start day and the time zone the cycle turns over in. The
+ * usage limit meters, forecast and monthly budgets all follow it.
+ *
+ * Plan shape (stored in preferences):
+ *   { type, tokenLimit, costLimit, windowMessages, billingCycleDay, timeZone }
+ * Limits are null when unset. `windowMessages` is the approximate number
+ * of messages a subscription allows per 5-hour session window.
+ */
+
+class PlanManager {
+    constructor() {
+        // Picking a plan fills in its limits; all of them can be edited
+        this.plans = {
+            api: {
+                label: 'API (pay-as-you-go)',
+                price: null,
+                tokenLimit: null,
+                costLimit: 100, // Tier 1 monthly spend limit
+                windowMessages: null
+            },
+            // Subscriptions are capped per 5-hour window rather than per month
+            pro: { label: 'Pro', price: 20, tokenLimit: null, costLimit: null, windowMessages: 45 },
+            max5x: { label: 'Max 5x', price: 100, tokenLimit: null, costLimit: null, windowMessages: 225 },
+            max20x: { label: 'Max 20x', price: 200, tokenLimit: null, costLimit: null, windowMessages: 900 },
+            custom: { label: 'Custom', price: null, tokenLimit: null, costLimit: null, windowMessages: null }
+        };
+    }
+
+    /**
+     * The saved plan with its label
+     */
+    getPlan() {
+        const plan = window.StorageManager.getPreferences().plan;
+        const preset = this.plans[plan.type] || this.plans.custom;
+        // Plans saved before window tracking have no allowance
+        return { windowMessages: null, ...plan, label: preset.label, price: preset.price };
+    }
+
+    /**
+     * A plan of `type` with its preset limits, keeping the cycle settings
+     */
+    withPreset(plan, type) {
+        const { tokenLimit, costLimit, windowMessages } = this.plans[type] || this.plans.custom;
+        return { ...plan, type, tokenLimit, costLimit, windowMessages };
+    }
+
+    /**
+     * Validate and save a plan; throws on bad input
+     */
+    save({ type, tokenLimit, costLimit, windowMessages = null, billingCycleDay, timeZone }) {
+        if (!this.plans[type]) {
+            throw new Error(`Unknown plan "${type}"`);
+        }
+        [
+            ['Token limit', tokenLimit],
+            ['Spend limit', costLimit],
+            ['Messages per window', windowMessages]
+        ].forEach(([label, limit]) => {
+            if (limit !== null && !(limit > 0)) {
+                throw new Error(`${label} must be greater than zero, or empty for none`);
+            }
+        });
+        if (!Number.isInteger(billingCycleDay) || billingCycleDay < 1 || billingCycleDay > 31) {
+            throw new Error('Billing cycle day must be between 1 and 31');
+        }
+        if (!this.isValidTimeZone(timeZone)) {
+            throw new Error(`Unknown time zone "${timeZone}"`);
+        }
+
+        const prefs = window.StorageManager.getPreferences();
+        prefs.plan = { type, tokenLimit, costLimit, windowMessages, billingCycleDay, timeZone };
+        window.StorageManager.savePreferences(prefs);
+        return this.getPlan();
+    }
+
+    /**
+     * Limits for a view ('all' or a profile ID). A profile's own token
+     * limit overrides the plan's; 'all' sums them, or has none if any
+     * profile has none.
+     */
+    getLimits(viewId, plan = this.getPlan()) {
+        const profiles = window.StorageManager.listProfiles();
+        let tokenLimit;
+
+        if (viewId === 'all') {
+            const limits = profiles.map(profile => profile.usageLimit || plan.tokenLimit);
+            tokenLimit = limits.includes(null) ? null : limits.reduce((sum, limit) => sum + limit, 0);
+        } else {
+            const profile = profiles.find(p => p.id === viewId);
+            tokenLimit = (profile && profile.usageLimit) || plan.tokenLimit;
+        }
+
+        return { tokenLimit, costLimit: plan.costLimit };
+    }
+
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Time zones to offer, UTC and the device's own first
+     */
+    listTimeZones() {
+        const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const all = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        return [...new Set(['UTC', local, ...all].filter(Boolean))];
+    }
+
+    /**
+     * The billing cycle running now. The cycle turns over at midnight in
+     * the plan's time zone; usage inside it is still counted by UTC day.
+     */
+    getCycle(plan = this.getPlan()) {
+        return window.DateRanges.getBillingCycle(plan.billingCycleDay, window.DateRanges.today(plan.timeZone));
+    }
+}
+
+// Export for use in other modules
+window.PlanManager = new PlanManager();
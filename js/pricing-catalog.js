@@ -0,0 +1,218 @@
+/**
+ * Pricing Catalog
+ * Per-model-version rates (USD per million tokens) with effective-date
+ * ranges, so historical usage is costed at the price of its day
+ *
+ * Catalog shape:
+ *   { version, models: { '<model id>': { family, name, prices: [
+ *       { effectiveFrom, effectiveTo, input, output, cacheWrite, cacheRead }
+ *   ] } } }
+ * `effectiveFrom` is inclusive and `effectiveTo` exclusive (null = still current).
+ */
+
+class PricingCatalog {
+    constructor() {
+        this.defaultCatalog = {
+            version: '2025-11-24',
+            models: {
+                'claude-opus-4-5-20251101': this.entry('opus', 'Claude Opus 4.5', '2025-11-24', 5.00, 25.00),
+                'claude-opus-4-1-20250805': this.entry('opus', 'Claude Opus 4.1', '2025-08-05', 15.00, 75.00),
+                'claude-opus-4-20250514': this.entry('opus', 'Claude Opus 4', '2025-05-22', 15.00, 75.00),
+                'claude-3-opus-20240229': this.entry('opus', 'Claude 3 Opus', '2024-03-04', 15.00, 75.00),
+                'claude-sonnet-4-5-20250929': this.entry('sonnet', 'Claude Sonnet 4.5', '2025-09-29', 3.00, 15.00),
+                'claude-sonnet-4-20250514': this.entry('sonnet', 'Claude Sonnet 4', '2025-05-22', 3.00, 15.00),
+                'claude-3-7-sonnet-20250219': this.entry('sonnet', 'Claude 3.7 Sonnet', '2025-02-24', 3.00, 15.00),
+                'claude-3-5-sonnet-20241022': this.entry('sonnet', 'Claude 3.5 Sonnet (Oct)', '2024-10-22', 3.00, 15.00),
+                'claude-3-5-sonnet-20240620': this.entry('sonnet', 'Claude 3.5 Sonnet', '2024-06-20', 3.00, 15.00),
+                'claude-3-sonnet-20240229': this.entry('sonnet', 'Claude 3 Sonnet', '2024-03-04', 3.00, 15.00),
+                'claude-haiku-4-5-20251001': this.entry('haiku', 'Claude Haiku 4.5', '2025-10-15', 1.00, 5.00),
+                'claude-3-5-haiku-20241022': this.entry('haiku', 'Claude 3.5 Haiku', '2024-11-04', 0.80, 4.00),
+                'claude-3-haiku-20240307': this.entry('haiku', 'Claude 3 Haiku', '2024-03-13', 0.25, 1.25)
+            }
+        };
+
+        this.catalog = this.defaultCatalog;
+        this.importedAt = null;
+    }
+
+    /**
+     * Built-in entry with the standard cache multipliers
+     * (writes 1.25x input, reads 0.1x input)
+     */
+    entry(family, name, effectiveFrom, input, output) {
+        return {
+            family,
+            name,
+            prices: [{
+                effectiveFrom,
+                effectiveTo: null,
+                input,
+                output,
+                cacheWrite: input * 1.25,
+                cacheRead: input * 0.1
+            }]
+        };
+    }
+
+    /**
+     * Apply a stored user catalog on top of the built-in one
+     */
+    load(stored) {
+        if (!stored) {
+            this.catalog = this.defaultCatalog;
+            this.importedAt = null;
+            return;
+        }
+
+        this.catalog = {
+            version: stored.version,
+            models: { ...this.defaultCatalog.models, ...stored.models }
+        };
+        this.importedAt = stored.importedAt || null;
+    }
+
+    /**
+     * Validate and normalize an imported catalog; throws on bad input
+     */
+    parse(text) {
+        let catalog;
+        try {
+            catalog = JSON.parse(text);
+        } catch {
+            throw new Error('Pricing file is not valid JSON');
+        }
+
+        if (!catalog || typeof catalog.models !== 'object' || Array.isArray(catalog.models)) {
+            throw new Error('Pricing file needs a "models" object keyed by model ID');
+        }
+
+        const models = {};
+        Object.entries(catalog.models).forEach(([modelId, model]) => {
+            if (!Array.isArray(model.prices) || model.prices.length === 0) {
+                throw new Error(`${modelId}: "prices" must be a non-empty array`);
+            }
+
+            models[modelId] = {
+                family: model.family || this.inferFamily(modelId),
+                name: model.name || modelId,
+                prices: model.prices.map(price => this.normalizePrice(modelId, price))
+                    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+            };
+        });
+
+        return {
+            version: String(catalog.version || new Date().toISOString().split('T')[0]),
+            models,
+            importedAt: new Date().toISOString()
+        };
+    }
+
+    normalizePrice(modelId, price) {
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isRate = (value) => typeof value === 'number' && value >= 0;
+
+        if (!isDate(price.effectiveFrom)) {
+            throw new Error(`${modelId}: effectiveFrom must be a YYYY-MM-DD date`);
+        }
+        if (price.effectiveTo != null && !isDate(price.effectiveTo)) {
+            throw new Error(`${modelId}: effectiveTo must be a YYYY-MM-DD date or null`);
+        }
+        if (!isRate(price.input) || !isRate(price.output)) {
+            throw new Error(`${modelId}: input and output rates must be non-negative numbers`);
+        }
+
+        return {
+            effectiveFrom: price.effectiveFrom,
+            effectiveTo: price.effectiveTo || null,
+            input: price.input,
+            output: price.output,
+            cacheWrite: isRate(price.cacheWrite) ? price.cacheWrite : price.input * 1.25,
+            cacheRead: isRate(price.cacheRead) ? price.cacheRead : price.input * 0.1
+        };
+    }
+
+    inferFamily(modelId) {
+        const match = /opus|sonnet|haiku/.exec(modelId || '');
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Resolve a model ID to its catalog ID: exact match, then aliases such as
+     * `claude-sonnet-4-0` or `claude-3-5-haiku-latest`, then null
+     */
+    resolveModelId(modelId) {
+        if (!modelId) return null;
+        if (this.catalog.models[modelId]) return modelId;
+
+        const datedVersion = (prefix) => Object.keys(this.catalog.models)
+            .filter(id => id.startsWith(`${prefix}-`) && /^\d{8}$/.test(id.slice(prefix.length + 1)))
+            .sort()
+            .pop() || null;
+
+        // `claude-sonnet-4-5` names a version; `claude-sonnet-4-0` and `-latest` do not
+        return datedVersion(modelId) || datedVersion(modelId.replace(/-(latest|0)$/, ''));
+    }
+
+    /**
+     * The price range that applied to a date, falling back to the nearest one
+     */
+    findPrice(prices, date) {
+        const current = prices.find(price =>
+            price.effectiveFrom <= date && (!price.effectiveTo || date < price.effectiveTo)
+        );
+        if (current) return current;
+
+        const earlier = prices.filter(price => price.effectiveFrom <= date);
+        return earlier.length > 0 ? earlier[earlier.length - 1] : prices[0];
+    }
+
+    /**
+     * Rates for a model on a date (YYYY-MM-DD), or null for unknown models
+     */
+    getRates(modelId, date = new Date().toISOString().split('T')[0]) {
+        const resolvedId = this.resolveModelId(modelId);
+        if (!resolvedId) return null;
+
+        const model = this.catalog.models[resolvedId];
+        return {
+            modelId: resolvedId,
+            family: model.family,
+            name: model.name,
+            ...this.findPrice(model.prices, date)
+        };
+    }
+
+    /**
+     * Rates of the newest model of a family that was priced on a date;
+     * used when usage is only known per family
+     */
+    getFamilyRates(family, date = new Date().toISOString().split('T')[0]) {
+        const candidates = Object.entries(this.catalog.models)
+            .filter(([, model]) => model.family === family && model.prices[0].effectiveFrom <= date)
+            .sort(([, a], [, b]) => b.prices[0].effectiveFrom.localeCompare(a.prices[0].effectiveFrom));
+
+        return candidates.length > 0 ? this.getRates(candidates[0][0], date) : null;
+    }
+
+    /**
+     * Cost in USD for a token split at the given rates
+     */
+    calculateCost(usage, rates) {
+        if (!rates) return 0;
+
+        return ((usage.inputTokens || 0) * rates.input +
+                (usage.outputTokens || 0) * rates.output +
+                (usage.cacheCreationTokens || 0) * rates.cacheWrite +
+                (usage.cacheReadTokens || 0) * rates.cacheRead) / 1000000;
+    }
+
+    /**
+     * Model IDs in the active catalog
+     */
+    listModels() {
+        return Object.keys(this.catalog.models);
+    }
+}
+
+// Export for use in other modules
+window.PricingCatalog = new PricingCatalog();
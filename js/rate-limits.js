@@ -0,0 +1,116 @@
+/**
+ * Rate Limit Monitor
+ * Reads the `anthropic-ratelimit-*` headers of API responses and keeps the
+ * latest headroom per dimension. Browsers only expose these headers to the
+ * page when the server lists them in Access-Control-Expose-Headers.
+ */
+
+class RateLimitMonitor {
+    constructor() {
+        // Header name prefix for each dimension
+        this.dimensions = {
+            requests: { label: 'Requests', header: 'anthropic-ratelimit-requests' },
+            tokens: { label: 'Tokens', header: 'anthropic-ratelimit-tokens' },
+            inputTokens: { label: 'Input tokens', header: 'anthropic-ratelimit-input-tokens' },
+            outputTokens: { label: 'Output tokens', header: 'anthropic-ratelimit-output-tokens' }
+        };
+
+        this.state = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Restore the last stored state
+     */
+    load(stored) {
+        this.state = stored || null;
+    }
+
+    /**
+     * Call `listener(state)` whenever new headers are recorded
+     */
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Parse the rate-limit headers of a response; responses without any
+     * leave the previous state in place
+     */
+    record(response, path = '') {
+        const headers = response.headers;
+        const limits = {};
+
+        Object.entries(this.dimensions).forEach(([id, { header }]) => {
+            const limit = this.parseNumber(headers.get(`${header}-limit`));
+            const remaining = this.parseNumber(headers.get(`${header}-remaining`));
+            if (limit === null && remaining === null) return;
+
+            limits[id] = {
+                limit,
+                remaining,
+                reset: this.parseReset(headers.get(`${header}-reset`))
+            };
+        });
+
+        const retryAfter = this.parseNumber(headers.get('retry-after'));
+        if (Object.keys(limits).length === 0 && response.status !== 429) return;
+
+        this.state = {
+            limits: Object.keys(limits).length > 0 ? limits : (this.state?.limits || {}),
+            status: response.status,
+            path,
+            retryAt: retryAfter !== null ? new Date(Date.now() + retryAfter * 1000).toISOString() : null,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (window.StorageManager) window.StorageManager.saveRateLimits(this.state);
+        this.listeners.forEach(listener => listener(this.state));
+    }
+
+    parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Reset headers are RFC 3339 timestamps
+     */
+    parseReset(value) {
+        if (!value) return null;
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    /**
+     * Remaining share of a dimension's limit (0-1), or null when unknown
+     */
+    getHeadroom(limit) {
+        if (!limit || !limit.limit || limit.remaining === null) return null;
+        return Math.min(Math.max(limit.remaining / limit.limit, 0), 1);
+    }
+
+    /**
+     * Milliseconds until a reset time, never negative
+     */
+    getTimeUntil(isoTime, now = Date.now()) {
+        return isoTime ? Math.max(Date.parse(isoTime) - now, 0) : 0;
+    }
+
+    /**
+     * Countdown text such as "42s" or "3m 05s"
+     */
+    formatCountdown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+}
+
+// Export for use in other modules
+window.RateLimitMonitor = new RateLimitMonitor();
@@ -0,0 +1,154 @@
+/**
+ * Router
+ * Hash routes for the app's screens, so they can be linked to, bookmarked,
+ * used as manifest shortcuts and walked with the back and forward buttons.
+ *
+ * Routes:
+ *   #/login
+ *   #/dashboard                      the saved range
+ *   #/dashboard/30d                  a range preset (see date-ranges.js)
+ *   #/dashboard/2026-10-01..2026-10-15  a custom range
+ *   #/settings
+ *   #/day/2026-10-18                 one day's detail
+ *   #/statement/2026-10              a month's printable statement
+ *
+ * Route shape:
+ *   { name: 'login' | 'dashboard' | 'settings' | 'day' | 'statement', range
+ *     (dashboard only, a saved-selection object or null), date (day only),
+ *     month (statement only, 'YYYY-MM') }
+ */
+
+class Router {
+    constructor() {
+        this.handler = null;
+        this.current = null;
+    }
+
+    /**
+     * Call `handler(route)` when the address changes outside the app
+     * (back/forward, an edited URL)
+     */
+    start(handler) {
+        this.handler = handler;
+        window.addEventListener('popstate', () => this.handleChange());
+        window.addEventListener('hashchange', () => this.handleChange());
+    }
+
+    handleChange() {
+        if (window.location.hash === this.current) return;
+
+        this.current = window.location.hash;
+        this.handler(this.parse(this.current));
+    }
+
+    /**
+     * The route the app was opened with. `?screen=<name>` (older shortcuts
+     * and notifications) becomes the matching hash.
+     */
+    getInitialRoute() {
+        const params = new URLSearchParams(window.location.search);
+        const screen = params.get('screen');
+        if (screen) {
+            params.delete('screen');
+            const query = params.toString();
+            const route = this.parse(`#/${screen}`) || { name: 'dashboard', range: null };
+            window.history.replaceState(null, '', 
+                `${window.location.pathname}${query ? `?${query}` : ''}${this.format(route)}`);
+        }
+
+        this.current = window.location.hash;
+        return this.parse(this.current);
+    }
+
+    /**
+     * Parse a hash; unknown or malformed routes resolve to null
+     */
+    parse(hash) {
+        const [name, param, ...rest] = (hash || '').replace(/^#\/?/, '').split('/');
+        if (rest.length > 0) return null;
+
+        switch (name) {
+            case 'login':
+            case 'settings':
+                return param === undefined ? { name } : null;
+            case 'day':
+                return window.DateRanges.isDateKey(param) ? { name, date: param } : null;
+            case 'statement':
+                return window.DateRanges.isDateKey(`${param}-01`) ? { name, month: param } : null;
+            case 'dashboard': {
+                if (param === undefined) return { name, range: null };
+                const range = this.parseRange(decodeURIComponent(param));
+                return range ? { name, range } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * '30d' or '2026-10-01..2026-10-15' as a saved range selection
+     */
+    parseRange(value) {
+        const [startDate, endDate] = value.split('..');
+        if (endDate !== undefined) {
+            return window.DateRanges.isDateKey(startDate) && window.DateRanges.isDateKey(endDate)
+                ? { preset: 'custom', startDate, endDate }
+                : null;
+        }
+
+        const preset = window.DateRanges.presets.find(entry => entry.id === value && entry.id !== 'custom');
+        return preset ? { preset: preset.id, startDate: null, endDate: null } : null;
+    }
+
+    format(route) {
+        switch (route.name) {
+            case 'day':
+                return `#/day/${route.date}`;
+            case 'statement':
+                return `#/statement/${route.month}`;
+            case 'dashboard': {
+                const range = route.range;
+                if (!range || !this.parseRange(this.formatRange(range))) return '#/dashboard';
+                return `#/dashboard/${this.formatRange(range)}`;
+            }
+            default:
+                return `#/${route.name}`;
+        }
+    }
+
+    formatRange(range) {
+        return range.preset === 'custom'
+            ? `${range.startDate}..${range.endDate}`
+            : range.preset;
+    }
+
+    /**
+     * Record `route` as where the app is, as a new history entry or
+     * replacing the current one (for redirects)
+     */
+    go(route, { replace = false } = {}) {
+        const hash = this.format(route);
+        if (hash === window.location.hash) {
+            this.current = hash;
+            return;
+        }
+
+        const depth = (window.history.state && window.history.state.depth) || 0;
+        if (replace) {
+            window.history.replaceState({ depth }, '', hash);
+        } else {
+            window.history.pushState({ depth: depth + 1 }, '', hash);
+        }
+        this.current = hash;
+    }
+
+    /**
+     * Whether going back stays inside the app
+     */
+    canGoBack() {
+        return Boolean(window.history.state && window.history.state.depth > 0);
+    }
+}
+
+// Export for use in other modules
+window.Router = new Router();
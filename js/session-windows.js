@@ -0,0 +1,64 @@
+/**
+ * Session Window Tracker
+ * Pro and Max plans limit usage per rolling 5-hour window. A window opens
+ * with the first message sent after the previous one closed (rounded down
+ * to the hour) and resets 5 hours later. Windows are rebuilt from the
+ * message timestamps of imported Claude Code logs.
+ *
+ * Window shape:
+ *   { start, end (epoch ms), messages, tokens }
+ */
+
+class SessionWindowTracker {
+    constructor() {
+        this.windowMs = 5 * 60 * 60 * 1000;
+        this.weekMs = 7 * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Group [epoch ms, tokens] messages (oldest first) into windows
+     */
+    getWindows(messages) {
+        const windows = [];
+        let current = null;
+
+        messages.forEach(([time, tokens]) => {
+            if (!current || time >= current.end) {
+                const start = new Date(time);
+                start.setUTCMinutes(0, 0, 0);
+                current = { start: start.getTime(), end: start.getTime() + this.windowMs, messages: 0, tokens: 0 };
+                windows.push(current);
+            }
+            current.messages++;
+            current.tokens += tokens;
+        });
+
+        return windows;
+    }
+
+    /**
+     * The open window with its allowance, plus the last week's windows.
+     * `allowance` is the plan's approximate messages per window.
+     */
+    getStatus(messages, allowance, now = Date.now()) {
+        const windows = this.getWindows(messages || []);
+        const last = windows[windows.length - 1];
+        const current = last && last.start <= now && now < last.end ? last : null;
+        const week = windows.filter(session => session.end > now - this.weekMs);
+
+        return {
+            current,
+            used: current ? current.messages / allowance : 0,
+            remaining: current ? Math.max(allowance - current.messages, 0) : allowance,
+            resetsIn: current ? current.end - now : 0,
+            week: {
+                windows: week.length,
+                messages: week.reduce((sum, session) => sum + session.messages, 0),
+                tokens: week.reduce((sum, session) => sum + session.tokens, 0)
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+window.SessionWindowTracker = new SessionWindowTracker();
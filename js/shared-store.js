@@ -0,0 +1,54 @@
+/**
+ * Shared Store
+ * A small IndexedDB key-value store that the page and the service worker
+ * can both reach (the worker has no localStorage). Background sync uses it
+ * to hand settings to the worker and results back to the page.
+ */
+
+class SharedStore {
+    constructor() {
+        this.dbName = 'claude-monitor-shared';
+        this.storeName = 'entries';
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one request against the store and resolve with its result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.run('readonly', store => store.get(key))) ?? null;
+    }
+
+    set(key, value) {
+        return this.run('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+}
+
+// Export for use in other modules
+window.SharedStore = new SharedStore();
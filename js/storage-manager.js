@@ -8,11 +8,43 @@ class StorageManager {
         this.storageKeys = {
             CREDENTIALS: 'claude_monitor_credentials',
             USAGE_DATA: 'claude_monitor_usage_data',
+            LOCAL_LOGS: 'claude_monitor_local_logs',
+            CSV_IMPORT: 'claude_monitor_csv_import',
+            PRICING_CATALOG: 'claude_monitor_pricing_catalog',
+            RATE_LIMITS: 'claude_monitor_rate_limits',
+            PROFILES: 'claude_monitor_profiles',
+            BUDGETS: 'claude_monitor_budgets',
+            ANOMALY_ALERTS: 'claude_monitor_anomaly_alerts',
+            NOTIFICATIONS: 'claude_monitor_notifications',
             USER_PREFS: 'claude_monitor_preferences',
             SESSION: 'claude_monitor_session',
             DEVICE_ID: 'claude_monitor_device_id'
         };
         this.sessionTimeout = 24 * 60 * 60 * 1000; // 24 hours
+        this.defaultPreferences = {
+            theme: 'auto',
+            notifications: true, // Also needs the browser's permission
+            quietHours: { enabled: false, start: '22:00', end: '07:00' },
+            autoRefresh: true,
+            refreshInterval: 60000, // 1 minute
+            dataSources: null, // Chosen from the key type at first login
+            apiBaseUrl: '',
+            timeRange: { preset: '7d', startDate: null, endDate: null },
+            // See js/plans.js
+            plan: {
+                type: 'api',
+                tokenLimit: null,
+                costLimit: 100,
+                windowMessages: null,
+                billingCycleDay: 1,
+                timeZone: 'UTC'
+            },
+            weekStartDay: 1, // Monday; weekly budgets reset on this day
+            demoSeed: null, // Demo data source defaults when unset
+            demoScenario: null,
+            showAllProfiles: false,
+            anomalySensitivity: 'medium'
+        };
     }
 
     /**
@@ -33,6 +65,9 @@ class StorageManager {
             this.clearSession();
         }
 
+        await this.migrateCredentials();
+        this.migratePreferences();
+
         return {
             hasStoredCredentials: this.hasStoredCredentials(),
             deviceId: this.deviceId
@@ -40,30 +75,214 @@ class StorageManager {
     }
 
     /**
-     * Save encrypted credentials
+     * Move the billing cycle day, once a preference of its own, into the plan
      */
-    async saveCredentials(email, apiKey, rememberMe) {
+    migratePreferences() {
         try {
-            if (!rememberMe) {
-                // Store in session only
-                this.setSession({ email, apiKey });
-                return true;
+            const stored = JSON.parse(localStorage.getItem(this.storageKeys.USER_PREFS));
+            if (!stored || stored.billingCycleDay === undefined) return;
+
+            const { billingCycleDay, ...prefs } = stored;
+            prefs.plan = { ...this.defaultPreferences.plan, ...prefs.plan, billingCycleDay };
+            this.savePreferences(prefs);
+        } catch (error) {
+            console.error('Failed to migrate preferences:', error);
+        }
+    }
+
+    /**
+     * Move a pre-profiles credential blob into a "Default" profile, with
+     * the usage cached for it
+     */
+    async migrateCredentials() {
+        const encrypted = localStorage.getItem(this.storageKeys.CREDENTIALS);
+        if (!encrypted || this.getProfileIndex().profiles.length > 0) return;
+
+        try {
+            const credentials = await window.CryptoUtils.decrypt(encrypted, this.deviceId);
+            if (credentials && credentials.apiKey) {
+                const profileId = await this.saveProfile('Default', credentials.email, credentials.apiKey);
+
+                const usage = localStorage.getItem(this.storageKeys.USAGE_DATA);
+                if (usage !== null) {
+                    localStorage.setItem(this.profileKey(this.storageKeys.USAGE_DATA, profileId), usage);
+                    localStorage.removeItem(this.storageKeys.USAGE_DATA);
+                }
             }
+        } catch (error) {
+            console.error('Failed to migrate credentials:', error);
+        }
+        localStorage.removeItem(this.storageKeys.CREDENTIALS);
+    }
 
-            const credentials = {
-                email,
-                apiKey,
-                savedAt: Date.now(),
-                rememberMe: true
+    /**
+     * Stored profiles: { activeProfileId, profiles: [{ id, name, email,
+     * apiKey (encrypted), keyHint, usageLimit, createdAt }] }
+     */
+    getProfileIndex() {
+        try {
+            const index = localStorage.getItem(this.storageKeys.PROFILES);
+            return index ? JSON.parse(index) : { activeProfileId: null, profiles: [] };
+        } catch {
+            return { activeProfileId: null, profiles: [] };
+        }
+    }
+
+    saveProfileIndex(index) {
+        localStorage.setItem(this.storageKeys.PROFILES, JSON.stringify(index));
+    }
+
+    createProfileId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Create or update a named profile with its own encrypted key
+     */
+    async saveProfile(name, email, apiKey) {
+        const index = this.getProfileIndex();
+        let profile = index.profiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+
+        if (!profile) {
+            profile = {
+                id: this.createProfileId('profile'),
+                name,
+                usageLimit: null,
+                createdAt: Date.now()
             };
+            index.profiles.push(profile);
+        }
+
+        profile.email = email;
+        profile.apiKey = await window.CryptoUtils.encrypt({ apiKey }, this.deviceId);
+        profile.keyHint = window.CryptoUtils.maskApiKey(apiKey);
+        index.activeProfileId = profile.id;
+
+        this.saveProfileIndex(index);
+        return profile.id;
+    }
+
+    /**
+     * Profiles without their encrypted keys. A session-only sign-in is
+     * listed too, so the switcher always shows the current profile.
+     */
+    listProfiles() {
+        const profiles = this.getProfileIndex().profiles
+            .map(({ apiKey, ...profile }) => ({ ...profile, remembered: true }));
+
+        const session = this.getSession()?.credentials;
+        if (session && session.profileId && !profiles.some(p => p.id === session.profileId)) {
+            profiles.push({
+                id: session.profileId,
+                name: session.profileName,
+                email: session.email,
+                keyHint: window.CryptoUtils.maskApiKey(session.apiKey),
+                usageLimit: null,
+                remembered: false
+            });
+        }
+
+        return profiles;
+    }
+
+    /**
+     * Decrypted credentials of one profile
+     */
+    async getProfileCredentials(profileId) {
+        const session = this.getSession()?.credentials;
+        if (session && session.profileId === profileId) return session;
+
+        const profile = this.getProfileIndex().profiles.find(p => p.id === profileId);
+        if (!profile) return null;
+
+        const { apiKey } = await window.CryptoUtils.decrypt(profile.apiKey, this.deviceId);
+        return {
+            email: profile.email,
+            apiKey,
+            profileId: profile.id,
+            profileName: profile.name,
+            rememberMe: true
+        };
+    }
+
+    /**
+     * Make a profile the signed-in one
+     */
+    async setActiveProfile(profileId) {
+        const credentials = await this.getProfileCredentials(profileId);
+        if (!credentials) return null;
+
+        const index = this.getProfileIndex();
+        if (index.profiles.some(p => p.id === profileId)) {
+            index.activeProfileId = profileId;
+            this.saveProfileIndex(index);
+        }
+
+        this.setSession(credentials);
+        return credentials;
+    }
+
+    /**
+     * Update a stored profile's settings (e.g. its usage limit)
+     */
+    updateProfile(profileId, changes) {
+        const index = this.getProfileIndex();
+        const profile = index.profiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        Object.assign(profile, changes);
+        this.saveProfileIndex(index);
+    }
+
+    /**
+     * Forget a profile along with its cached usage, rate limits and anomaly alerts
+     */
+    removeProfile(profileId) {
+        const index = this.getProfileIndex();
+        index.profiles = index.profiles.filter(p => p.id !== profileId);
+        if (index.activeProfileId === profileId) {
+            index.activeProfileId = index.profiles.length > 0 ? index.profiles[0].id : null;
+        }
+        this.saveProfileIndex(index);
+
+        localStorage.removeItem(this.profileKey(this.storageKeys.USAGE_DATA, profileId));
+        localStorage.removeItem(this.profileKey(this.storageKeys.RATE_LIMITS, profileId));
+        localStorage.removeItem(this.profileKey(this.storageKeys.ANOMALY_ALERTS, profileId));
 
-            // Encrypt with device ID as password
-            const encrypted = await window.CryptoUtils.encrypt(credentials, this.deviceId);
-            localStorage.setItem(this.storageKeys.CREDENTIALS, encrypted);
-            
-            // Also set session for immediate use
-            this.setSession({ email, apiKey });
-            
+        if (this.getSession()?.credentials?.profileId === profileId) {
+            this.clearSession();
+        }
+    }
+
+    /**
+     * ID of the signed-in profile
+     */
+    getActiveProfileId() {
+        return this.getSession()?.credentials?.profileId ||
+               this.getProfileIndex().activeProfileId ||
+               'default';
+    }
+
+    /**
+     * Storage key of per-profile data
+     */
+    profileKey(key, profileId = this.getActiveProfileId()) {
+        return `${key}:${profileId}`;
+    }
+
+    /**
+     * Save credentials as a named profile and sign it in. Without
+     * `rememberMe` the profile only lives for this session.
+     */
+    async saveCredentials(email, apiKey, rememberMe, profileName = 'Default') {
+        try {
+            let profileId = this.createProfileId('session');
+
+            if (rememberMe) {
+                profileId = await this.saveProfile(profileName, email, apiKey);
+            }
+
+            this.setSession({ email, apiKey, profileId, profileName, rememberMe });
             return true;
         } catch (error) {
             console.error('Failed to save credentials:', error);
@@ -72,7 +291,7 @@ class StorageManager {
     }
 
     /**
-     * Retrieve and decrypt stored credentials
+     * Retrieve the signed-in profile's credentials
      */
     async getCredentials() {
         try {
@@ -82,23 +301,8 @@ class StorageManager {
                 return session.credentials;
             }
 
-            // Check encrypted storage
-            const encrypted = localStorage.getItem(this.storageKeys.CREDENTIALS);
-            if (!encrypted) return null;
-
-            const decrypted = await window.CryptoUtils.decrypt(encrypted, this.deviceId);
-            
-            // Validate stored credentials
-            if (decrypted && decrypted.apiKey) {
-                // Refresh session
-                this.setSession({ 
-                    email: decrypted.email, 
-                    apiKey: decrypted.apiKey 
-                });
-                return decrypted;
-            }
-            
-            return null;
+            const { activeProfileId } = this.getProfileIndex();
+            return activeProfileId ? await this.setActiveProfile(activeProfileId) : null;
         } catch (error) {
             console.error('Failed to retrieve credentials:', error);
             // Clear corrupted data
@@ -108,10 +312,11 @@ class StorageManager {
     }
 
     /**
-     * Clear stored credentials
+     * Clear stored credentials of every profile
      */
     clearCredentials() {
         localStorage.removeItem(this.storageKeys.CREDENTIALS);
+        localStorage.removeItem(this.storageKeys.PROFILES);
         this.clearSession();
     }
 
@@ -119,7 +324,7 @@ class StorageManager {
      * Check if credentials are stored
      */
     hasStoredCredentials() {
-        return localStorage.getItem(this.storageKeys.CREDENTIALS) !== null ||
+        return this.getProfileIndex().profiles.length > 0 ||
                this.getSession()?.credentials !== undefined;
     }
 
@@ -149,29 +354,216 @@ class StorageManager {
     }
 
     /**
-     * Save usage data for offline access
+     * Usage summaries older versions cached here, one per view ('all' or a
+     * profile id). History now lives in HistoryStore, which migrates these.
+     * The pre-profiles cache, under the bare key, belongs to the active
+     * (or default) profile.
      */
-    saveUsageData(data) {
+    getLegacyUsageData() {
+        const prefix = `${this.storageKeys.USAGE_DATA}:`;
+        return Object.keys(localStorage)
+            .filter(name => name === this.storageKeys.USAGE_DATA || name.startsWith(prefix))
+            .map(name => {
+                try {
+                    const viewId = name === this.storageKeys.USAGE_DATA
+                        ? this.getActiveProfileId()
+                        : name.slice(prefix.length);
+                    return { viewId, data: JSON.parse(localStorage.getItem(name)) };
+                } catch {
+                    return null;
+                }
+            })
+            .filter(entry => entry && entry.data && entry.data.cachedAt);
+    }
+
+    clearLegacyUsageData() {
+        const prefix = `${this.storageKeys.USAGE_DATA}:`;
+        Object.keys(localStorage)
+            .filter(name => name === this.storageKeys.USAGE_DATA || name.startsWith(prefix))
+            .forEach(name => localStorage.removeItem(name));
+    }
+
+    /**
+     * Save the summary of imported Claude Code logs
+     */
+    saveLocalLogSummary(summary) {
         try {
-            const usageData = {
-                ...data,
-                cachedAt: Date.now()
-            };
-            localStorage.setItem(this.storageKeys.USAGE_DATA, JSON.stringify(usageData));
+            localStorage.setItem(this.storageKeys.LOCAL_LOGS, JSON.stringify(summary));
+            return true;
+        } catch (error) {
+            console.error('Failed to save local log summary:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the summary of imported Claude Code logs
+     */
+    getLocalLogSummary() {
+        try {
+            const summary = localStorage.getItem(this.storageKeys.LOCAL_LOGS);
+            return summary ? JSON.parse(summary) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Save records imported from a CSV file
+     */
+    saveCsvImport(imported) {
+        try {
+            localStorage.setItem(this.storageKeys.CSV_IMPORT, JSON.stringify(imported));
+            return true;
+        } catch (error) {
+            console.error('Failed to save CSV import:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get records imported from a CSV file
+     */
+    getCsvImport() {
+        try {
+            const imported = localStorage.getItem(this.storageKeys.CSV_IMPORT);
+            return imported ? JSON.parse(imported) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    clearCsvImport() {
+        localStorage.removeItem(this.storageKeys.CSV_IMPORT);
+    }
+
+    /**
+     * Save a user-imported pricing catalog
+     */
+    savePricingCatalog(catalog) {
+        try {
+            localStorage.setItem(this.storageKeys.PRICING_CATALOG, JSON.stringify(catalog));
+            return true;
+        } catch (error) {
+            console.error('Failed to save pricing catalog:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the user-imported pricing catalog
+     */
+    getPricingCatalog() {
+        try {
+            const catalog = localStorage.getItem(this.storageKeys.PRICING_CATALOG);
+            return catalog ? JSON.parse(catalog) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Drop the imported pricing catalog (back to built-in prices)
+     */
+    clearPricingCatalog() {
+        localStorage.removeItem(this.storageKeys.PRICING_CATALOG);
+    }
+
+    /**
+     * Save budgets and the alerts fired in their current periods
+     */
+    saveBudgets(state) {
+        try {
+            localStorage.setItem(this.storageKeys.BUDGETS, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('Failed to save budgets:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get budgets and their alert state
+     */
+    getBudgets() {
+        try {
+            const state = localStorage.getItem(this.storageKeys.BUDGETS);
+            return state ? JSON.parse(state) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Save the keys of anomalies already alerted for a profile (or 'all')
+     */
+    saveAnomalyAlerts(keys, profileId) {
+        try {
+            localStorage.setItem(this.profileKey(this.storageKeys.ANOMALY_ALERTS, profileId), JSON.stringify(keys));
             return true;
         } catch (error) {
-            console.error('Failed to save usage data:', error);
+            console.error('Failed to save anomaly alerts:', error);
             return false;
         }
     }
 
     /**
-     * Get cached usage data
+     * Get the keys of anomalies already alerted for a profile (or 'all')
      */
-    getUsageData() {
+    getAnomalyAlerts(profileId) {
         try {
-            const data = localStorage.getItem(this.storageKeys.USAGE_DATA);
-            return data ? JSON.parse(data) : null;
+            const keys = localStorage.getItem(this.profileKey(this.storageKeys.ANOMALY_ALERTS, profileId));
+            return keys ? JSON.parse(keys) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Save notification snoozes and the limit alerts already notified
+     */
+    saveNotificationState(state) {
+        try {
+            localStorage.setItem(this.storageKeys.NOTIFICATIONS, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('Failed to save notification state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get notification snoozes and limit alert state
+     */
+    getNotificationState() {
+        try {
+            const state = localStorage.getItem(this.storageKeys.NOTIFICATIONS);
+            return state ? JSON.parse(state) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Save the latest rate-limit headers
+     */
+    saveRateLimits(state) {
+        try {
+            localStorage.setItem(this.profileKey(this.storageKeys.RATE_LIMITS), JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('Failed to save rate limits:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the latest rate-limit headers
+     */
+    getRateLimits() {
+        try {
+            const state = localStorage.getItem(this.profileKey(this.storageKeys.RATE_LIMITS));
+            return state ? JSON.parse(state) : null;
         } catch {
             return null;
         }
@@ -195,27 +587,27 @@ class StorageManager {
     getPreferences() {
         try {
             const prefs = localStorage.getItem(this.storageKeys.USER_PREFS);
-            return prefs ? JSON.parse(prefs) : {
-                theme: 'auto',
-                notifications: true,
-                autoRefresh: true,
-                refreshInterval: 60000 // 1 minute
-            };
+            // Merge over defaults so preferences added later get a value
+            return { ...this.defaultPreferences, ...(prefs ? JSON.parse(prefs) : {}) };
         } catch {
-            return {
-                theme: 'auto',
-                notifications: true,
-                autoRefresh: true,
-                refreshInterval: 60000
-            };
+            return { ...this.defaultPreferences };
         }
     }
 
     /**
-     * Clear all stored data
+     * Clear all stored data; a restore keeps the device ID its keys are
+     * encrypted with
      */
-    clearAllData() {
-        Object.values(this.storageKeys).forEach(key => {
+    clearAllData({ keepDeviceId = false } = {}) {
+        const keys = Object.values(this.storageKeys)
+            .filter(key => !keepDeviceId || key !== this.storageKeys.DEVICE_ID);
+
+        // Per-profile entries are stored as `<key>:<profile id>`
+        Object.keys(localStorage)
+            .filter(name => keys.some(key => name.startsWith(`${key}:`)))
+            .forEach(name => localStorage.removeItem(name));
+
+        keys.forEach(key => {
             localStorage.removeItem(key);
             sessionStorage.removeItem(key);
         });
@@ -0,0 +1,184 @@
+/**
+ * Usage Export
+ * Daily, per-model usage of a range as CSV or JSON, and the figures behind
+ * the printable monthly statement
+ *
+ * Row shape (one per day and model):
+ *   { date, model, modelName, inputTokens, outputTokens, cacheCreationTokens,
+ *     cacheReadTokens, tokens, requests, cost, costBasis }
+ * Token splits and request counts are null where no source reported them.
+ */
+
+class UsageExport {
+    constructor() {
+        this.csvColumns = [
+            ['date', 'date'],
+            ['model', 'model'],
+            ['model_name', 'modelName'],
+            ['input_tokens', 'inputTokens'],
+            ['output_tokens', 'outputTokens'],
+            ['cache_creation_tokens', 'cacheCreationTokens'],
+            ['cache_read_tokens', 'cacheReadTokens'],
+            ['total_tokens', 'tokens'],
+            ['requests', 'requests'],
+            ['cost_usd', 'cost'],
+            ['cost_basis', 'costBasis']
+        ];
+    }
+
+    /**
+     * Sum records into one row per day and model, oldest first
+     */
+    getDailyRows(records) {
+        const rows = new Map();
+        const add = (sum, value) => (value === null ? sum : (sum || 0) + value);
+
+        records.forEach(record => {
+            const key = `${record.date}|${record.model}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    date: record.date,
+                    model: record.model,
+                    modelName: window.ApiService.getModelName(record.model),
+                    inputTokens: null,
+                    outputTokens: null,
+                    cacheCreationTokens: null,
+                    cacheReadTokens: null,
+                    tokens: 0,
+                    requests: null,
+                    cost: 0,
+                    bases: new Set()
+                });
+            }
+
+            const row = rows.get(key);
+            const { cost, basis } = window.ApiService.getRecordCost(record);
+            row.inputTokens = add(row.inputTokens, record.inputTokens);
+            row.outputTokens = add(row.outputTokens, record.outputTokens);
+            row.cacheCreationTokens = add(row.cacheCreationTokens, record.cacheCreationTokens);
+            row.cacheReadTokens = add(row.cacheReadTokens, record.cacheReadTokens);
+            row.requests = add(row.requests, record.requests);
+            row.tokens += record.tokens;
+            row.cost += cost;
+            row.bases.add(basis);
+        });
+
+        return [...rows.values()]
+            .map(({ bases, ...row }) => ({ ...row, costBasis: [...bases].sort().join('+') }))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model));
+    }
+
+    toCsv(rows) {
+        const lines = rows.map(row => this.csvColumns
+            .map(([, field]) => this.formatCsvValue(field === 'cost' ? row.cost.toFixed(6) : row[field]))
+            .join(','));
+        return [this.csvColumns.map(([name]) => name).join(','), ...lines].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * One CSV cell. Text that a spreadsheet would run as a formula (model
+     * ids and names come from imported files) is prefixed with a quote.
+     */
+    formatCsvValue(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * A range's usage as a JSON document: totals, the model breakdown,
+     * daily totals and the per-day, per-model rows
+     */
+    toJson(data, rows, { view }) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            view,
+            range: data.range,
+            totals: {
+                tokens: data.totalTokens,
+                cost: data.totalCost,
+                apiCalls: data.apiCalls,
+                costBasis: data.costBasis
+            },
+            models: data.models.map(({ id, name, tokens, cost, models }) => ({ id, name, tokens, cost, models })),
+            daily: data.dailyUsage.map(({ date, tokens, cost, apiCalls }) => ({ date, tokens, cost, apiCalls })),
+            rows
+        }, null, 2);
+    }
+
+    /**
+     * Save text as a file through a temporary download link
+     */
+    download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * File name for a range, e.g. claude-usage-2026-10-01-to-2026-10-19.csv
+     */
+    getFilename(range, extension) {
+        return `claude-usage-${range.startDate}-to-${range.endDate}.${extension}`;
+    }
+
+    /**
+     * The calendar month 'YYYY-MM' as a range, ending today while current
+     */
+    getMonthRange(month, today = window.DateRanges.today()) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const startDate = `${month}-01`;
+        const lastDay = new Date(Date.UTC(year, monthIndex, 0)).toISOString().split('T')[0];
+        return { startDate, endDate: lastDay < today ? lastDay : today };
+    }
+
+    /**
+     * 'YYYY-MM' moved by a number of months
+     */
+    addMonths(month, months) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthIndex - 1 + months, 1)).toISOString().slice(0, 7);
+    }
+
+    /**
+     * Rates each model in the records was priced at (on its last day of
+     * use), for the statement's pricing assumptions
+     */
+    getPricingAssumptions(records) {
+        const lastUse = new Map();
+        records.forEach(record => {
+            if (!lastUse.has(record.model) || lastUse.get(record.model) < record.date) {
+                lastUse.set(record.model, record.date);
+            }
+        });
+
+        return [...lastUse.entries()]
+            .map(([model, date]) => {
+                const rates = window.ApiService.getModelRates(model, date);
+                return {
+                    model,
+                    name: window.ApiService.getModelName(model),
+                    rates: rates && {
+                        pricedAs: rates.name,
+                        input: rates.input,
+                        output: rates.output,
+                        cacheWrite: rates.cacheWrite,
+                        cacheRead: rates.cacheRead,
+                        effectiveFrom: rates.effectiveFrom
+                    }
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+// Export for use in other modules
+window.UsageExport = new UsageExport();
@@ -3,8 +3,10 @@
  * Handles caching, offline functionality, and background sync
  */
 
-const CACHE_NAME = 'claude-monitor-v1.0.0';
-const DYNAMIC_CACHE = 'claude-monitor-dynamic-v1.0.0';
+// Bump with every release; the cache names follow it
+const VERSION = '1.1.0';
+const CACHE_NAME = `claude-monitor-v${VERSION}`;
+const DYNAMIC_CACHE = `claude-monitor-dynamic-v${VERSION}`;
 
 // Assets to cache for offline use
 const STATIC_ASSETS = [
@@ -14,6 +16,24 @@ const STATIC_ASSETS = [
     '/styles.css',
     '/js/app.js',
     '/js/api-service.js',
+    '/js/log-importer.js',
+    '/js/pricing-catalog.js',
+    '/js/date-ranges.js',
+    '/js/router.js',
+    '/js/usage-export.js',
+    '/js/plans.js',
+    '/js/session-windows.js',
+    '/js/rate-limits.js',
+    '/js/budgets.js',
+    '/js/forecast.js',
+    '/js/anomalies.js',
+    '/js/notifications.js',
+    '/js/shared-store.js',
+    '/js/history-store.js',
+    '/js/background-sync.js',
+    '/js/data-sources.js',
+    '/js/csv-importer.js',
+    '/js/backup.js',
     '/js/storage-manager.js',
     '/js/crypto-utils.js',
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
@@ -21,6 +41,32 @@ const STATIC_ASSETS = [
     'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'
 ];
 
+// The app's own modules run background sync; they expect a `window`.
+// Only modules that touch no DOM or localStorage when loaded belong here
+// (storage-manager.js reads localStorage only when called, and
+// BackgroundSync gives it a copy from IndexedDB). A failed import must
+// not stop the worker installing, so offline caching works without sync.
+self.window = self;
+try {
+    importScripts(
+        '/js/crypto-utils.js',
+        '/js/storage-manager.js',
+        '/js/pricing-catalog.js',
+        '/js/date-ranges.js',
+        '/js/plans.js',
+        '/js/rate-limits.js',
+        '/js/budgets.js',
+        '/js/notifications.js',
+        '/js/data-sources.js',
+        '/js/api-service.js',
+        '/js/shared-store.js',
+        '/js/history-store.js',
+        '/js/background-sync.js'
+    );
+} catch (error) {
+    console.error('[Service Worker] Background sync modules failed to load:', error);
+}
+
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
     console.log('[Service Worker] Installing...');
@@ -192,12 +238,34 @@ self.addEventListener('push', (event) => {
 // Notification click handler
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
-    
-    if (event.action === 'view') {
+
+    if (event.action === 'close') return;
+
+    const data = event.notification.data || {};
+
+    // Snoozes live in the page's storage, so hand them to an open window
+    if (event.action === 'snooze' && data.key) {
+        const until = Date.now() + data.snoozeMs;
         event.waitUntil(
-            clients.openWindow('/?screen=dashboard')
+            clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+                if (windows.length > 0) {
+                    windows.forEach((client) => client.postMessage({ type: 'SNOOZE_ALERT', key: data.key, until }));
+                    return;
+                }
+                const params = new URLSearchParams({ snooze: data.key, until: String(until) });
+                return clients.openWindow(`/?${params}`);
+            })
         );
+        return;
     }
+
+    // Clicking the notification itself or "view" shows the dashboard
+    event.waitUntil(
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            if (windows.length > 0) return windows[0].focus();
+            return clients.openWindow(data.url || '/#/dashboard');
+        })
+    );
 });
 
 // Message handler for client communication
@@ -226,30 +294,17 @@ self.addEventListener('message', (event) => {
 // Helper function to sync usage data
 async function syncUsageData() {
     try {
-        const cache = await caches.open(DYNAMIC_CACHE);
-        const cachedRequests = await cache.keys();
-        
-        // Find API requests in cache
-        const apiRequests = cachedRequests.filter(request => 
-            request.url.includes('api.anthropic.com')
-        );
-        
-        // Attempt to refresh cached API data
-        for (const request of apiRequests) {
-            try {
-                const response = await fetch(request);
-                await cache.put(request, response);
-            } catch (error) {
-                console.error('[Service Worker] Failed to sync:', error);
-            }
-        }
+        // Fetches through the configured data sources and raises alerts
+        if (!self.BackgroundSync) return;
+        const result = await self.BackgroundSync.run();
+        if (!result) return;
         
         // Notify clients of update
-        const clients = await self.clients.matchAll();
+        const clients = await self.clients.matchAll({ type: 'window' });
         clients.forEach(client => {
             client.postMessage({
                 type: 'DATA_SYNCED',
-                timestamp: Date.now()
+                timestamp: result.syncedAt
             });
         });
         
@@ -259,8 +314,6 @@ async function syncUsageData() {
 }
 
 // Cache versioning and update handler
-const VERSION = '1.0.0';
-
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'CHECK_VERSION') {
         event.ports[0].postMessage({ version: VERSION });
@@ -30,7 +30,12 @@ class PWAHandler(http.server.SimpleHTTPRequestHandler):
         # CORS headers for testing
         self.send_header('Access-Control-Allow-Origin', '*')
         self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
-        self.send_header('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+        self.send_header('Access-Control-Allow-Headers',
+                         'Content-Type, Authorization, x-api-key, anthropic-version, '
+                         'anthropic-dangerous-direct-browser-access')
+        self.send_header('Access-Control-Expose-Headers',
+                         'retry-after, anthropic-ratelimit-requests-limit, '
+                         'anthropic-ratelimit-requests-remaining, anthropic-ratelimit-requests-reset')
         
         super().end_headers()
     
@@ -65,6 +70,16 @@ class PWAHandler(http.server.SimpleHTTPRequestHandler):
         if path.startswith('/api/'):
             self.handle_api_request(path, parsed_path.query)
             return
+        
+        # Stand-in for the read-only models list used to validate keys
+        if path == '/v1/models':
+            self.handle_models_request()
+            return
+        
+        # Stand-in for the Anthropic Admin API report endpoints
+        if path.startswith('/v1/organizations/'):
+            self.handle_admin_request(path, parsed_path.query)
+            return
             
         # Serve PWA files
         super().do_GET()
@@ -98,6 +113,191 @@ class PWAHandler(http.server.SimpleHTTPRequestHandler):
             error_response = {'error': str(e)}
             self.wfile.write(json.dumps(error_response).encode())
     
+    def send_json(self, status, body, headers=None):
+        """Send a JSON response"""
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        for name, value in (headers or {}).items():
+            self.send_header(name, value)
+        self.end_headers()
+        self.wfile.write(json.dumps(body).encode())
+    
+    def handle_models_request(self):
+        """Mock models list; keys containing 'revoked' are rejected"""
+        api_key = self.headers.get('x-api-key', '')
+        if not api_key.startswith('sk-ant-') or 'revoked' in api_key:
+            self.send_json(401, {
+                'type': 'error',
+                'error': {'type': 'authentication_error', 'message': 'invalid x-api-key'}
+            })
+            return
+        
+        allowed, rate_limit_headers = self.take_rate_limit()
+        if not allowed:
+            self.send_json(429, {
+                'type': 'error',
+                'error': {'type': 'rate_limit_error', 'message': 'Too many requests'}
+            }, rate_limit_headers)
+            return
+        
+        self.send_json(200, {
+            'data': [{
+                'type': 'model',
+                'id': model_id,
+                'display_name': model_id,
+                'created_at': '2025-01-01T00:00:00Z'
+            } for model_id in self.MOCK_MODELS],
+            'has_more': False,
+            'first_id': None,
+            'last_id': None
+        }, rate_limit_headers)
+    
+    def handle_admin_request(self, path, query):
+        """Mock Admin API usage and cost reports with pagination"""
+        api_key = self.headers.get('x-api-key', '')
+        if not api_key.startswith('sk-ant-admin'):
+            self.send_json(401, {
+                'type': 'error',
+                'error': {'type': 'authentication_error', 'message': 'Admin API key required'}
+            })
+            return
+        
+        allowed, rate_limit_headers = self.take_rate_limit()
+        if not allowed:
+            self.send_json(429, {
+                'type': 'error',
+                'error': {'type': 'rate_limit_error', 'message': 'Too many requests'}
+            }, rate_limit_headers)
+            return
+        
+        params = parse_qs(query)
+        if path == '/v1/organizations/usage_report/messages':
+            make_results = self.mock_usage_results
+        elif path == '/v1/organizations/cost_report':
+            make_results = self.mock_cost_results
+        else:
+            self.send_json(404, {
+                'type': 'error',
+                'error': {'type': 'not_found_error', 'message': 'Endpoint not found'}
+            })
+            return
+        
+        self.send_json(200, self.paginate_buckets(params, make_results), rate_limit_headers)
+    
+    # Sliding one-minute request limit for the mock Admin API
+    RATE_LIMIT_REQUESTS = 60
+    request_times = []
+    
+    def take_rate_limit(self):
+        """Count a request; returns whether it is allowed and Anthropic-style headers"""
+        from datetime import datetime, timezone
+        
+        now = time.time()
+        window = [t for t in PWAHandler.request_times if now - t < 60]
+        allowed = len(window) < self.RATE_LIMIT_REQUESTS
+        if allowed:
+            window.append(now)
+        PWAHandler.request_times = window
+        
+        remaining = self.RATE_LIMIT_REQUESTS - len(window)
+        reset_at = window[0] + 60
+        headers = {
+            'anthropic-ratelimit-requests-limit': str(self.RATE_LIMIT_REQUESTS),
+            'anthropic-ratelimit-requests-remaining': str(remaining),
+            'anthropic-ratelimit-requests-reset':
+                datetime.fromtimestamp(reset_at, timezone.utc).strftime('%Y-%m-%dT%H:%M:%SZ')
+        }
+        if not allowed:
+            headers['retry-after'] = str(max(int(reset_at - now) + 1, 1))
+        return allowed, headers
+    
+    def paginate_buckets(self, params, make_results):
+        """Build daily buckets for the requested range, one page at a time"""
+        from datetime import datetime, timedelta, timezone
+        
+        def parse_time(value):
+            return datetime.fromisoformat(value.replace('Z', '+00:00'))
+        
+        now = datetime.now(timezone.utc)
+        start = parse_time(params['starting_at'][0]) if 'starting_at' in params else now - timedelta(days=7)
+        end = parse_time(params['ending_at'][0]) if 'ending_at' in params else now
+        start = start.replace(hour=0, minute=0, second=0, microsecond=0)
+        limit = int(params.get('limit', ['7'])[0])
+        offset = int(params.get('page', ['0'])[0])
+        
+        bucket_starts = []
+        day = start
+        while day < end:
+            bucket_starts.append(day)
+            day += timedelta(days=1)
+        
+        page = bucket_starts[offset:offset + limit]
+        has_more = offset + limit < len(bucket_starts)
+        
+        return {
+            'data': [{
+                'starting_at': day.strftime('%Y-%m-%dT%H:%M:%SZ'),
+                'ending_at': (day + timedelta(days=1)).strftime('%Y-%m-%dT%H:%M:%SZ'),
+                'results': make_results(day.strftime('%Y-%m-%d'))
+            } for day in page],
+            'has_more': has_more,
+            'next_page': str(offset + limit) if has_more else None
+        }
+    
+    # Per-million-token prices used to derive mock costs
+    MOCK_MODELS = {
+        'claude-opus-4-1-20250805': (15.0, 75.0),
+        'claude-sonnet-4-20250514': (3.0, 15.0),
+        'claude-3-5-haiku-20241022': (0.8, 4.0)
+    }
+    
+    def mock_usage_tokens(self, date, model):
+        """Stable per-day, per-model token counts so pages stay consistent"""
+        import random
+        rng = random.Random(f'{date}:{model}')
+        return {
+            'uncached_input_tokens': rng.randint(5000, 60000),
+            'cache_creation': {
+                'ephemeral_5m_input_tokens': rng.randint(0, 20000),
+                'ephemeral_1h_input_tokens': 0
+            },
+            'cache_read_input_tokens': rng.randint(0, 80000),
+            'output_tokens': rng.randint(2000, 30000)
+        }
+    
+    def mock_usage_results(self, date):
+        return [{
+            **self.mock_usage_tokens(date, model),
+            'model': model,
+            'api_key_id': None,
+            'workspace_id': None,
+            'service_tier': None,
+            'context_window': None,
+            'server_tool_use': {'web_search_requests': 0}
+        } for model in self.MOCK_MODELS]
+    
+    def mock_cost_results(self, date):
+        """Token costs in cents, as decimal strings like the real report"""
+        results = []
+        for model, (input_price, output_price) in self.MOCK_MODELS.items():
+            usage = self.mock_usage_tokens(date, model)
+            for token_type, tokens, price in (
+                ('uncached_input_tokens', usage['uncached_input_tokens'], input_price),
+                ('output_tokens', usage['output_tokens'], output_price)
+            ):
+                results.append({
+                    'currency': 'USD',
+                    'amount': f'{tokens / 1_000_000 * price * 100:.4f}',
+                    'description': f'{model} {token_type}',
+                    'cost_type': 'tokens',
+                    'token_type': token_type,
+                    'model': model,
+                    'workspace_id': None,
+                    'context_window': '0-200k',
+                    'service_tier': 'standard'
+                })
+        return results
+    
     def generate_mock_usage_data(self):
         """Generate realistic mock usage data"""
         import random
@@ -158,6 +358,9 @@ def start_test_server(port=8080):
     print(f"📋 Test endpoints:")
     print(f"   GET  /api/usage   - Mock usage data")
     print(f"   GET  /api/validate - API key validation")
+    print(f"   GET  /v1/models - Models list (key validation)")
+    print(f"   GET  /v1/organizations/usage_report/messages - Admin usage report")
+    print(f"   GET  /v1/organizations/cost_report - Admin cost report")
     print(f"")
     print(f"Press Ctrl+C to stop")
     print(f"=========================================")
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+load('date-ranges', 'anomalies');
+const { DateRanges, AnomalyDetector } = window;
+
+const today = '2026-10-19';
+const now = new Date(`${today}T12:30:00Z`);
+
+/**
+ * `count` days ending today with models a and b, normally around 1,000
+ * tokens a day; `spikes` maps a date to b's tokens that day
+ */
+function usage(count, spikes = {}) {
+    const days = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+        const date = DateRanges.addDays(today, -offset);
+        const models = { a: 800 + (offset % 3) * 50, b: spikes[date] ?? 200 };
+        days.push({ date, tokens: models.a + models.b, models });
+    }
+    return days;
+}
+
+test('a day far above its baseline is flagged with the model that drove it', () => {
+    const { days, hours } = AnomalyDetector.detect(usage(21, { [today]: 9000 }), { now });
+
+    assert.equal(days.length, 1);
+    assert.equal(days[0].key, `day|${today}`);
+    assert.equal(days[0].driver.id, 'b');
+    assert.ok(days[0].ratio > 5);
+    assert.deepEqual(hours, []);
+});
+
+test('ordinary variation is not flagged', () => {
+    assert.deepEqual(AnomalyDetector.detect(usage(21), { now }).days, []);
+});
+
+test('nothing is flagged when detection is off', () => {
+    const { days } = AnomalyDetector.detect(usage(21, { [today]: 9000 }), { sensitivity: 'off', now });
+
+    assert.deepEqual(days, []);
+});
+
+test('days with less than a week of baseline are skipped', () => {
+    const { days } = AnomalyDetector.detect(usage(7, { [today]: 9000 }), { now });
+
+    assert.deepEqual(days, []);
+});
+
+test('an earlier spike does not hide a later one', () => {
+    const earlier = DateRanges.addDays(today, -3);
+    const { days } = AnomalyDetector.detect(usage(21, { [earlier]: 9000, [today]: 9000 }), { now });
+
+    assert.deepEqual(days.map(day => day.date), [earlier, today]);
+});
+
+test('only days from `from` on are checked', () => {
+    const earlier = DateRanges.addDays(today, -3);
+    const { days } = AnomalyDetector.detect(usage(21, { [earlier]: 9000 }), { from: today, now });
+
+    assert.deepEqual(days, []);
+});
+
+test('an hour far above the same hour on earlier days is flagged', () => {
+    const dailyUsage = usage(10).map(day => {
+        const hourlyTokens = new Array(24).fill(0);
+        hourlyTokens[9] = day.tokens;
+        if (day.date === today) hourlyTokens[10] = 5000;
+        return { ...day, hourlyTokens, hourlyModels: { a: hourlyTokens } };
+    });
+    const { hours } = AnomalyDetector.detect(dailyUsage, { now });
+
+    assert.deepEqual(hours.map(hour => hour.key), [`hour|${today}T10`]);
+    assert.equal(hours[0].driver.id, 'a');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+load('crypto-utils', 'storage-manager', 'date-ranges', 'data-sources', 'csv-importer');
+window.DataSources.registerDefaults({ api: null, storage: window.StorageManager });
+const { CsvImporter } = window;
+
+// Console usage export: one row per day, model, key and workspace
+const usageExport = `usage_date_utc,model_version,api_key,workspace,usage_type,context_window,usage_input_tokens_no_cache,usage_input_tokens_cache_write_5m,usage_input_tokens_cache_write_1h,usage_input_tokens_cache_read,usage_output_tokens
+2026-10-01,claude-sonnet-4-20250514,key-a,Default,standard,0-200k,1000,100,50,2000,500
+2026-10-01,claude-sonnet-4-20250514,key-b,Default,standard,0-200k,10,0,0,0,5
+2026-10-02,claude-opus-4-1-20250805,key-a,Default,standard,0-200k,300,0,0,0,100
+`;
+
+// Console cost export: one row per day, model and token type
+const costExport = `usage_date_utc,model,workspace,api_key,description,cost_type,token_type,context_window,service_tier,cost_usd
+2026-10-01,claude-sonnet-4-20250514,Default,key-a,x,tokens,input,0-200k,standard,0.50
+2026-10-01,claude-sonnet-4-20250514,Default,key-a,x,tokens,output,0-200k,standard,1.25
+2026-10-03,claude-sonnet-4-20250514,Default,key-a,x,tokens,output,0-200k,standard,2.00
+`;
+
+function readExport(text) {
+    const table = CsvImporter.read(text);
+    return { table, records: CsvImporter.buildRecords(table, table.mapping) };
+}
+
+test('console usage exports are mapped and summed per day and model', () => {
+    const { table, records } = readExport(usageExport);
+
+    assert.deepEqual(table.mapping, [
+        'date', 'model', null, null, null, null,
+        'inputTokens', 'cacheCreationTokens', 'cacheCreationTokens', 'cacheReadTokens', 'outputTokens'
+    ]);
+    assert.deepEqual(records.map(({ date, model, tokens, inputTokens, cacheCreationTokens, cost }) =>
+        [date, model, tokens, inputTokens, cacheCreationTokens, cost]), [
+        ['2026-10-01', 'claude-sonnet-4-20250514', 3665, 1010, 150, null],
+        ['2026-10-02', 'claude-opus-4-1-20250805', 400, 300, 0, null]
+    ]);
+    assert.ok(records.every(record => record.source === 'csv' && record.origin === 'api'));
+});
+
+test('preview marks days other sources already reported', () => {
+    const { table, records } = readExport(usageExport);
+    const rows = CsvImporter.preview(records, table.mapping, {
+        history: [
+            { date: '2026-10-02', model: 'claude-opus-4-1-20250805', origin: 'api', source: 'admin' },
+            // Earlier imports are compared with the import, not history
+            { date: '2026-10-01', model: 'claude-sonnet-4-20250514', origin: 'api', source: 'csv' }
+        ]
+    });
+
+    assert.deepEqual(rows.map(row => row.status), ['new', 'history']);
+    assert.equal(CsvImporter.merge([], rows, table.mapping).length, 1);
+    assert.equal(CsvImporter.merge([], rows, table.mapping, { skipHistory: false }).length, 2);
+});
+
+test('importing the same file again finds only duplicates', () => {
+    const { table, records } = readExport(usageExport);
+    const imported = CsvImporter.merge([], CsvImporter.preview(records, table.mapping), table.mapping);
+    const rows = CsvImporter.preview(records, table.mapping, { imported });
+
+    assert.deepEqual(rows.map(row => row.status), ['duplicate', 'duplicate']);
+    assert.deepEqual(CsvImporter.merge(imported, rows, table.mapping), imported);
+});
+
+test('a cost export adds costs to an earlier usage import without touching tokens', () => {
+    const usage = readExport(usageExport);
+    const imported = CsvImporter.merge([], CsvImporter.preview(usage.records, usage.table.mapping), usage.table.mapping);
+
+    const costs = readExport(costExport);
+    assert.equal(costs.table.mapping[9], 'cost');
+    const rows = CsvImporter.preview(costs.records, costs.table.mapping, { imported });
+    assert.deepEqual(rows.map(row => row.status), ['update', 'new']);
+
+    const merged = CsvImporter.merge(imported, rows, costs.table.mapping);
+    assert.deepEqual(merged.map(({ date, tokens, cost }) => [date, tokens, cost]), [
+        ['2026-10-01', 3665, 1.75],
+        ['2026-10-02', 400, null],
+        ['2026-10-03', 0, 2]
+    ]);
+});
+
+test('quoted fields keep their commas, quotes and line breaks', () => {
+    const rows = window.DataSources.get('csv').parseRows('model,note\r\n"a,b","say ""hi""\nagain"\r\n');
+
+    assert.deepEqual(rows, [['model', 'note'], ['a,b', 'say "hi"\nagain']]);
+});
+
+test('an empty file is refused', () => {
+    assert.throws(() => CsvImporter.read(''), /empty/);
+});
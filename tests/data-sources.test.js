@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+load('crypto-utils', 'storage-manager', 'date-ranges', 'data-sources');
+const { DataSources } = window;
+
+/**
+ * A record of `source` with every token counted as input
+ */
+function record(source, date, model, tokens, fields = {}) {
+    return {
+        date,
+        model,
+        origin: 'api',
+        tokens,
+        inputTokens: tokens,
+        outputTokens: null,
+        cacheCreationTokens: null,
+        cacheReadTokens: null,
+        requests: null,
+        cost: null,
+        source,
+        ...fields
+    };
+}
+
+test('the highest-priority source wins a day, model and origin it shares', () => {
+    const merged = DataSources.mergeRecords([
+        [record('admin', '2026-10-01', 'a', 100)],
+        [record('csv', '2026-10-01', 'a', 999), record('csv', '2026-10-02', 'a', 50)],
+        [record('logs', '2026-10-01', 'a', 7, { origin: 'claude-code' })]
+    ]);
+
+    assert.deepEqual(merged.map(({ date, origin, tokens, source }) => [date, origin, tokens, source]), [
+        ['2026-10-01', 'api', 100, 'admin'],
+        ['2026-10-01', 'claude-code', 7, 'logs'],
+        ['2026-10-02', 'api', 50, 'csv']
+    ]);
+});
+
+test('repeated keys within one source are summed, keeping unknown fields null', () => {
+    const merged = DataSources.mergeRecords([[
+        record('csv', '2026-10-01', 'a', 100, { cost: 1.5 }),
+        record('csv', '2026-10-01', 'a', 20, { cost: 0.25, requests: 2 })
+    ]]);
+
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].tokens, 120);
+    assert.equal(merged[0].inputTokens, 120);
+    assert.equal(merged[0].outputTokens, null);
+    assert.equal(merged[0].requests, 2);
+    assert.equal(merged[0].cost, 1.75);
+});
+
+test('merging does not change the records it was given', () => {
+    const first = record('csv', '2026-10-01', 'a', 100);
+    DataSources.mergeRecords([[first, record('csv', '2026-10-01', 'a', 20)]]);
+
+    assert.equal(first.tokens, 100);
+});
+
+test('a failing source is reported without dropping the others', async () => {
+    DataSources.register({
+        id: 'good',
+        fetchRecords: async () => [record('good', '2026-10-01', 'a', 5)],
+        getMeta: () => ({ sessions: 1 })
+    });
+    DataSources.register({
+        id: 'broken',
+        label: 'Broken',
+        fetchRecords: async () => { throw new Error('offline'); },
+        getMeta: () => ({})
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const result = await DataSources.fetchRecords(['good', 'broken'], { startDate: '2026-10-01', endDate: '2026-10-01' });
+
+        assert.deepEqual(result.records.map(({ source }) => source), ['good']);
+        assert.deepEqual(result.errors.map(({ source }) => source), ['broken']);
+        assert.deepEqual(result.meta, { sessions: 1 });
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('Admin API reports become one record per day and model, without cost when unbilled', () => {
+    DataSources.registerDefaults({ api: null, storage: window.StorageManager });
+    const records = DataSources.get('admin').mapReports([{
+        starting_at: '2026-10-01T00:00:00Z',
+        results: [
+            {
+                model: 'a',
+                uncached_input_tokens: 100,
+                output_tokens: 50,
+                cache_creation: { ephemeral_5m_input_tokens: 10, ephemeral_1h_input_tokens: 5 },
+                cache_read_input_tokens: 200
+            },
+            { model: 'b', uncached_input_tokens: 1, output_tokens: 1 }
+        ]
+    }], [{
+        starting_at: '2026-10-01T00:00:00Z',
+        results: [{ model: 'a', amount: '125.5' }, { amount: '10' }]
+    }]);
+
+    assert.deepEqual(records.map(({ model, tokens, cacheCreationTokens, cost }) => [model, tokens, cacheCreationTokens, cost]), [
+        ['a', 365, 15, 1.255],
+        ['b', 2, 0, null],
+        ['other', 0, 0, 0.1]
+    ]);
+});
+
+test('Admin API reports are cached per key and range', async () => {
+    DataSources.registerDefaults({ api: null, storage: window.StorageManager });
+    const source = DataSources.get('admin');
+    const requested = [];
+    source.options.api = {
+        headers: {},
+        fetchAllPages: async (path, params, apiKey) => {
+            requested.push(`${apiKey}|${params.starting_at}`);
+            return [];
+        }
+    };
+
+    const october = { startDate: '2026-10-01', endDate: '2026-10-02' };
+    const september = { startDate: '2026-09-01', endDate: '2026-09-02' };
+    await source.fetchRecords(october, { apiKey: 'key-a' });
+    await source.fetchRecords(september, { apiKey: 'key-a' });
+    await source.fetchRecords(october, { apiKey: 'key-a' });
+    await source.fetchRecords(october, { apiKey: 'key-b' });
+
+    // Each fetch asks for the usage and the cost report
+    assert.deepEqual(requested.filter((_, index) => index % 2 === 0), [
+        'key-a|2026-10-01T00:00:00Z',
+        'key-a|2026-09-01T00:00:00Z',
+        'key-b|2026-10-01T00:00:00Z'
+    ]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+load('date-ranges', 'forecast');
+const { DateRanges, Forecaster } = window;
+
+// A Monday
+const today = '2026-10-19';
+
+/**
+ * The `days` days before `today`, valued by weekday (0 = Sunday)
+ */
+function history(days, valueOn) {
+    const series = [];
+    for (let offset = days; offset >= 1; offset--) {
+        const date = DateRanges.addDays(today, -offset);
+        series.push({ date, value: valueOn(Forecaster.weekday(date)) });
+    }
+    return series;
+}
+
+test('a flat history fits its level with no weekday pattern or spread', () => {
+    const values = new Map(history(28, () => 100).map(({ date, value }) => [date, value]));
+    const { level, factors, sigma } = Forecaster.fit(values, today);
+
+    assert.equal(level, 100);
+    assert.deepEqual(factors, new Array(7).fill(1));
+    assert.equal(sigma, 0);
+});
+
+test('weekday factors carry idle weekends into the projection', () => {
+    const series = history(28, weekday => (weekday === 0 || weekday === 6 ? 0 : 100));
+    const result = Forecaster.forecast(series, {
+        startDate: today,
+        endDate: DateRanges.addDays(today, 6),
+        today,
+        limit: 300
+    });
+
+    assert.equal(result.actual, 0);
+    assert.ok(Math.abs(result.projected - 500) < 1e-9);
+    assert.deepEqual(result.days.map(day => Math.round(day.expected)), [100, 100, 100, 100, 0, 0]);
+    // Monday, Tuesday and Wednesday reach the limit
+    assert.equal(result.exhaustionDate, '2026-10-21');
+});
+
+test('days before the first record are not counted as idle', () => {
+    const series = history(3, () => 100);
+    const { level } = Forecaster.fit(new Map(series.map(({ date, value }) => [date, value])), today);
+
+    assert.equal(level, 100);
+});
+
+test('without complete days, today so far is the level', () => {
+    const result = Forecaster.forecast([{ date: today, value: 40 }], {
+        startDate: today,
+        endDate: DateRanges.addDays(today, 2),
+        today
+    });
+
+    assert.equal(result.actual, 40);
+    assert.equal(result.projected, 120);
+    assert.equal(result.exhaustionDate, null);
+});
+
+test('the band spreads around the projection and never drops below actual usage', () => {
+    // A three-day cycle that no weekday pattern can fit
+    const series = history(28, () => 100).map((day, index) => ({ ...day, value: index % 3 === 0 ? 160 : 70 }));
+    const result = Forecaster.forecast(series, {
+        startDate: DateRanges.addDays(today, -5),
+        endDate: DateRanges.addDays(today, 10),
+        today
+    });
+
+    assert.ok(result.low >= result.actual);
+    assert.ok(result.low < result.projected && result.projected < result.high);
+    result.days.forEach(day => assert.ok(day.low <= day.expected && day.expected <= day.high));
+});
@@ -0,0 +1,45 @@
+/**
+ * Test helpers
+ * Loads the app's browser modules (js/*.js) into the Node process running a
+ * test file. Each module ends with `window.X = new X()`, so `window` is the
+ * global object, and localStorage is kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+globalThis.window = globalThis;
+globalThis.self = globalThis;
+globalThis.localStorage = new MemoryStorage();
+globalThis.sessionStorage = new MemoryStorage();
+
+/**
+ * Run modules by name (e.g. 'date-ranges'), in order, once per test file
+ */
+function load(...modules) {
+    modules.forEach(name => {
+        const filename = path.join(__dirname, '..', 'js', `${name}.js`);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+}
+
+module.exports = { load };